@@ -0,0 +1,516 @@
+/**
+ * Retrospxt Holdings LLC
+ * Admin Dashboard
+ *
+ * Talks to the /api/admin API with a session cookie from /api/auth/login,
+ * or with an API key kept in sessionStorage.
+ * Lead data is user-submitted, so everything is rendered with textContent.
+ */
+
+class AdminDashboard {
+    constructor() {
+        this.config = {
+            tokenKey: 'retrospxtAdminToken',
+            roles: ['viewer', 'operator', 'admin'],
+            pageSize: 25,
+            refreshInterval: 60000
+        };
+
+        this.state = {
+            token: sessionStorage.getItem(this.config.tokenKey),
+            principal: null,
+            activeTab: 'overview',
+            offsets: {},
+            refreshTimer: null
+        };
+
+        // Columns for each lead table: [label, field or formatter]
+        this.tables = {
+            members: [
+                ['Joined', record => this.formatDate(record.createdAt)],
+                ['Name', 'name'],
+                ['Email', 'email'],
+                ['Company', 'company'],
+                ['Business size', 'businessSize'],
+                ['AI experience', 'aiExperience'],
+                ['Newsletter', record => record.newsletterOptIn ? 'Yes' : 'No']
+            ],
+            subscribers: [
+                ['Subscribed', record => this.formatDate(record.createdAt)],
+                ['Email', 'email'],
+                ['Name', 'name'],
+                ['Company', 'company'],
+                ['Status', 'status'],
+                ['Source', 'source']
+            ],
+            consultations: [
+                ['Requested', record => this.formatDate(record.createdAt)],
+                ['Name', 'name'],
+                ['Email', 'email'],
+                ['Company', 'company'],
+                ['Phone', 'phone'],
+                ['Service', 'service'],
+                ['Message', 'message']
+            ]
+        };
+
+        this.init();
+    }
+
+    async init() {
+        this.bindEvents();
+
+        // An existing session cookie or stored key skips the sign-in form
+        try {
+            const { principal } = await this.api('/api/auth/session');
+            this.state.principal = principal;
+            this.showDashboard();
+        } catch {
+            this.state.token = null;
+            sessionStorage.removeItem(this.config.tokenKey);
+            this.showLogin();
+        }
+    }
+
+    bindEvents() {
+        document.getElementById('login-form').addEventListener('submit', this.handleLogin.bind(this));
+        document.getElementById('logout-button').addEventListener('click', () => this.logout());
+        document.getElementById('chart-days').addEventListener('change', () => this.loadOverview());
+        document.getElementById('redrive-all').addEventListener('click', () => this.redrive());
+
+        document.querySelectorAll('.tab').forEach(tab => {
+            tab.addEventListener('click', () => this.switchTab(tab.dataset.tab));
+        });
+
+        document.querySelectorAll('.filters').forEach(form => {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.state.offsets[form.dataset.resource] = 0;
+                this.loadTable(form.dataset.resource);
+            });
+        });
+
+        document.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportCsv(button.dataset.export));
+        });
+    }
+
+    /**
+     * Authentication
+     */
+    async handleLogin(event) {
+        event.preventDefault();
+
+        const form = event.target;
+        const errorText = document.getElementById('login-error');
+        errorText.textContent = '';
+
+        const apiKey = form.elements.apiKey.value.trim();
+
+        try {
+            if (apiKey) {
+                this.state.token = apiKey;
+                const { principal } = await this.api('/api/auth/session');
+                sessionStorage.setItem(this.config.tokenKey, apiKey);
+                this.state.principal = principal;
+            } else {
+                const { user } = await this.api('/api/auth/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        email: form.elements.email.value.trim(),
+                        password: form.elements.password.value
+                    })
+                });
+                this.state.principal = { type: 'session', name: user.name || user.email, role: user.role };
+            }
+
+            form.reset();
+            this.showDashboard();
+        } catch (error) {
+            this.state.token = null;
+            errorText.textContent = error.status === 401 && apiKey
+                ? 'That API key was not accepted.'
+                : error.message;
+        }
+    }
+
+    async logout() {
+        if (!this.state.token) {
+            await this.api('/api/auth/logout', { method: 'POST' }).catch(() => {});
+        }
+
+        sessionStorage.removeItem(this.config.tokenKey);
+        this.state.token = null;
+        this.state.principal = null;
+        clearInterval(this.state.refreshTimer);
+        this.showLogin();
+    }
+
+    /**
+     * Whether the signed-in user has at least `role`
+     */
+    can(role) {
+        const roles = this.config.roles;
+        return Boolean(this.state.principal) && roles.indexOf(this.state.principal.role) >= roles.indexOf(role);
+    }
+
+    showLogin() {
+        document.getElementById('dashboard-view').hidden = true;
+        document.getElementById('login-view').hidden = false;
+        document.getElementById('login-email').focus();
+    }
+
+    showDashboard() {
+        document.getElementById('login-view').hidden = true;
+        document.getElementById('dashboard-view').hidden = false;
+        this.setText('signed-in-as', `${this.state.principal.name} (${this.state.principal.role})`);
+
+        this.switchTab(this.state.activeTab);
+
+        clearInterval(this.state.refreshTimer);
+        this.state.refreshTimer = setInterval(() => {
+            if (this.state.activeTab === 'overview') this.loadOverview();
+        }, this.config.refreshInterval);
+    }
+
+    /**
+     * API access
+     */
+    async api(url, options = {}) {
+        const headers = { ...options.headers };
+        if (this.state.token) {
+            headers.Authorization = `Bearer ${this.state.token}`;
+        }
+
+        const response = await fetch(url, { ...options, headers, credentials: 'same-origin' });
+
+        if (response.status === 401 && this.state.principal && document.getElementById('login-view').hidden) {
+            this.logout();
+        }
+
+        const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+        const body = isJson ? await response.json() : await response.blob();
+
+        if (!response.ok) {
+            const error = new Error((isJson && body.message) || `Request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return body;
+    }
+
+    showError(error) {
+        const banner = document.getElementById('dashboard-error');
+        banner.textContent = error ? error.message : '';
+        banner.hidden = !error;
+    }
+
+    /**
+     * Tabs
+     */
+    switchTab(name) {
+        this.state.activeTab = name;
+        this.showError(null);
+
+        document.querySelectorAll('.tab').forEach(tab => {
+            const active = tab.dataset.tab === name;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', String(active));
+        });
+
+        document.querySelectorAll('.tab-panel').forEach(panel => {
+            panel.hidden = panel.id !== `tab-${name}`;
+        });
+
+        if (name === 'overview') {
+            this.loadOverview();
+        } else if (name === 'mail') {
+            this.loadMail();
+        } else {
+            this.loadTable(name);
+        }
+    }
+
+    /**
+     * Overview: totals, mail queue health and the signup chart
+     */
+    async loadOverview() {
+        try {
+            const days = document.getElementById('chart-days').value;
+            const stats = await this.api(`/api/admin/stats?days=${days}`);
+            const { totals, mailQueue } = stats;
+
+            this.setText('stat-members', totals.members);
+            this.setText('stat-subscribers', totals.subscribers);
+            this.setText('stat-subscribers-detail', this.describeCounts(totals.subscribersByStatus));
+            this.setText('stat-consultations', totals.consultations);
+            this.setText('stat-consultations-detail', this.describeCounts(totals.consultationsByStatus));
+
+            this.setText('stat-mail', mailQueue.deadLetters > 0
+                ? `${mailQueue.deadLetters} failed`
+                : `${mailQueue.queued} queued`);
+            this.setText('stat-mail-detail', [
+                `${mailQueue.queued} queued`,
+                `${mailQueue.retrying} retrying`,
+                mailQueue.oldestQueuedAt ? `oldest ${this.formatDate(mailQueue.oldestQueuedAt)}` : null
+            ].filter(Boolean).join(' · '));
+
+            const card = document.getElementById('mail-health-card');
+            card.classList.toggle('warning', mailQueue.retrying > 0 && mailQueue.deadLetters === 0);
+            card.classList.toggle('danger', mailQueue.deadLetters > 0);
+
+            this.renderChart(stats.days);
+        } catch (error) {
+            this.showError(error);
+        }
+    }
+
+    describeCounts(counts) {
+        return Object.entries(counts || {})
+            .map(([label, count]) => `${count} ${label}`)
+            .join(' · ');
+    }
+
+    /**
+     * Grouped bar chart drawn as SVG, one group per day
+     */
+    renderChart(days) {
+        const container = document.getElementById('signup-chart');
+        const series = ['members', 'subscribers', 'consultations'];
+        const max = Math.max(1, ...days.flatMap(day => series.map(field => day[field])));
+
+        const width = 800;
+        const height = 220;
+        const padding = { top: 10, right: 10, bottom: 24, left: 30 };
+        const groupWidth = (width - padding.left - padding.right) / days.length;
+        const barWidth = Math.max(1, (groupWidth - 2) / series.length);
+        const plotHeight = height - padding.top - padding.bottom;
+
+        const svg = this.svg('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': 'Signups per day' });
+
+        // Horizontal guides at 0, half and max
+        [0, 0.5, 1].forEach(fraction => {
+            const y = padding.top + plotHeight * (1 - fraction);
+            svg.appendChild(this.svg('line', { x1: padding.left, x2: width - padding.right, y1: y, y2: y, class: 'chart-grid' }));
+            const label = this.svg('text', { x: padding.left - 6, y: y + 4, class: 'chart-axis', 'text-anchor': 'end' });
+            label.textContent = Math.round(max * fraction);
+            svg.appendChild(label);
+        });
+
+        const labelEvery = Math.ceil(days.length / 10);
+
+        days.forEach((day, index) => {
+            const groupX = padding.left + index * groupWidth + 1;
+
+            series.forEach((field, seriesIndex) => {
+                const barHeight = plotHeight * (day[field] / max);
+                const bar = this.svg('rect', {
+                    x: groupX + seriesIndex * barWidth,
+                    y: padding.top + plotHeight - barHeight,
+                    width: barWidth,
+                    height: barHeight,
+                    class: `bar-${field}`
+                });
+                const title = this.svg('title', {});
+                title.textContent = `${day.date}: ${day[field]} ${field}`;
+                bar.appendChild(title);
+                svg.appendChild(bar);
+            });
+
+            if (index % labelEvery === 0) {
+                const label = this.svg('text', { x: groupX + groupWidth / 2, y: height - 6, class: 'chart-axis', 'text-anchor': 'middle' });
+                label.textContent = day.date.slice(5);
+                svg.appendChild(label);
+            }
+        });
+
+        container.replaceChildren(svg);
+    }
+
+    /**
+     * Lead tables
+     */
+    filterQuery(resource) {
+        const form = document.querySelector(`.filters[data-resource="${resource}"]`);
+        const params = new URLSearchParams();
+
+        for (const [key, value] of new FormData(form).entries()) {
+            if (!value) continue;
+            // A date picker's "to" day should include that whole day
+            params.set(key, key === 'until' ? `${value}T23:59:59.999Z` : value);
+        }
+
+        return params;
+    }
+
+    async loadTable(resource) {
+        const container = document.querySelector(`[data-table="${resource}"]`);
+        const params = this.filterQuery(resource);
+        params.set('limit', this.config.pageSize);
+        params.set('offset', this.state.offsets[resource] || 0);
+
+        try {
+            const result = await this.api(`/api/admin/${resource}?${params}`);
+            container.replaceChildren(
+                this.buildTable(this.tables[resource], result.items, `No ${resource} found.`),
+                this.buildPager(resource, result)
+            );
+        } catch (error) {
+            this.showError(error);
+        }
+    }
+
+    buildTable(columns, items, emptyMessage, actions = null) {
+        if (items.length === 0) {
+            return this.el('p', { className: 'muted empty' }, emptyMessage);
+        }
+
+        const headings = columns.map(([label]) => this.el('th', {}, label));
+        if (actions) headings.push(this.el('th', {}, ''));
+
+        const rows = items.map(item => {
+            const cells = columns.map(([, value]) => {
+                const content = typeof value === 'function' ? value(item) : item[value];
+                return this.el('td', {}, content === null || content === undefined ? '' : String(content));
+            });
+            if (actions) cells.push(this.el('td', { className: 'actions' }, actions(item)));
+            return this.el('tr', {}, cells);
+        });
+
+        return this.el('div', { className: 'table-scroll' }, [
+            this.el('table', {}, [
+                this.el('thead', {}, [this.el('tr', {}, headings)]),
+                this.el('tbody', {}, rows)
+            ])
+        ]);
+    }
+
+    buildPager(resource, { total, limit, offset }) {
+        const previous = this.el('button', { type: 'button', className: 'btn btn-ghost', disabled: offset === 0 }, 'Previous');
+        const next = this.el('button', { type: 'button', className: 'btn btn-ghost', disabled: offset + limit >= total }, 'Next');
+
+        previous.addEventListener('click', () => {
+            this.state.offsets[resource] = Math.max(0, offset - limit);
+            this.loadTable(resource);
+        });
+        next.addEventListener('click', () => {
+            this.state.offsets[resource] = offset + limit;
+            this.loadTable(resource);
+        });
+
+        const first = total === 0 ? 0 : offset + 1;
+        const last = Math.min(offset + limit, total);
+
+        return this.el('div', { className: 'pager' }, [
+            this.el('span', { className: 'muted' }, `${first}–${last} of ${total}`),
+            previous,
+            next
+        ]);
+    }
+
+    async exportCsv(resource) {
+        try {
+            const blob = await this.api(`/api/admin/${resource}.csv?${this.filterQuery(resource)}`);
+            const link = this.el('a', {
+                href: URL.createObjectURL(blob),
+                download: `${resource}-${new Date().toISOString().slice(0, 10)}.csv`
+            });
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            this.showError(error);
+        }
+    }
+
+    /**
+     * Mail queue and dead letters
+     */
+    async loadMail() {
+        try {
+            const [deadLetters, queue] = await Promise.all([
+                this.api('/api/admin/mail/dead-letters?limit=100'),
+                this.api('/api/admin/mail/queue?limit=100')
+            ]);
+
+            // Viewers can look but not re-send
+            const canRedrive = this.can('operator');
+            const redriveButton = canRedrive && ((letter) => {
+                const button = this.el('button', { type: 'button', className: 'btn btn-ghost' }, 'Re-drive');
+                button.addEventListener('click', () => this.redrive(letter.id));
+                return button;
+            });
+
+            document.querySelector('[data-table="dead-letters"]').replaceChildren(this.buildTable([
+                ['Failed', record => this.formatDate(record.failedAt)],
+                ['Type', 'label'],
+                ['To', 'to'],
+                ['Subject', 'subject'],
+                ['Attempts', 'attempts'],
+                ['Last error', 'lastError']
+            ], deadLetters.items, 'No dead letters. Every email has been delivered or is still being retried.', redriveButton));
+
+            document.querySelector('[data-table="queue"]').replaceChildren(this.buildTable([
+                ['Queued', record => this.formatDate(record.createdAt)],
+                ['Type', 'label'],
+                ['To', 'to'],
+                ['Attempts', 'attempts'],
+                ['Next attempt', record => this.formatDate(record.nextAttemptAt)],
+                ['Last error', 'lastError']
+            ], queue.items, 'The queue is empty.'));
+
+            document.getElementById('redrive-all').hidden = !canRedrive;
+            document.getElementById('redrive-all').disabled = deadLetters.total === 0;
+        } catch (error) {
+            this.showError(error);
+        }
+    }
+
+    async redrive(id = null) {
+        const url = id
+            ? `/api/admin/mail/dead-letters/${encodeURIComponent(id)}/redrive`
+            : '/api/admin/mail/dead-letters/redrive';
+
+        try {
+            await this.api(url, { method: 'POST' });
+            this.loadMail();
+        } catch (error) {
+            this.showError(error);
+        }
+    }
+
+    /**
+     * DOM helpers
+     */
+    el(tag, properties = {}, children = []) {
+        const element = document.createElement(tag);
+        Object.assign(element, properties);
+
+        if (typeof children === 'string') {
+            element.textContent = children;
+        } else {
+            [].concat(children).forEach(child => element.append(child));
+        }
+
+        return element;
+    }
+
+    svg(tag, attributes) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    setText(id, value) {
+        document.getElementById(id).textContent = value;
+    }
+
+    formatDate(value) {
+        return value ? new Date(value).toLocaleString() : '';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.adminDashboard = new AdminDashboard();
+});
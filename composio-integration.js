@@ -1,31 +1,25 @@
 import { Composio } from "@composio/core";
 import { OpenAI } from "openai";
 import dotenv from "dotenv";
+import { requireConfig } from "./server/config.js";
 
 // Load environment variables from .env file
 dotenv.config();
 
-// Check if required environment variables are set
-if (!process.env.OPENAI_API_KEY) {
-    console.error("Error: OPENAI_API_KEY environment variable is not set");
-    console.log("Please create a .env file with your OpenAI API key");
-    process.exit(1);
-}
-
-if (!process.env.COMPOSIO_API_KEY) {
-    console.error("Error: COMPOSIO_API_KEY environment variable is not set");
-    console.log("Please create a .env file with your Composio API key");
-    process.exit(1);
-}
+// Exits with a clear message when either API key is missing
+const config = requireConfig({
+    service: "composio",
+    required: ["OPENAI_API_KEY", "COMPOSIO_API_KEY"]
+});
 
 // Initialize OpenAI with API key from environment
 const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
+    apiKey: config.OPENAI_API_KEY
 });
 
 // Initialize Composio with API key from environment
 const composio = new Composio({
-    apiKey: process.env.COMPOSIO_API_KEY
+    apiKey: config.COMPOSIO_API_KEY
 });
 
 const userEmail = "don@dhobdyjr.com";
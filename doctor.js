@@ -0,0 +1,67 @@
+import dotenv from 'dotenv';
+import { CONFIG_SCHEMA, diagnoseFeatures, isPlaceholder, loadConfig } from './server/config.js';
+
+/**
+ * Configuration doctor
+ *
+ *   npm run doctor            # features and any problem variables
+ *   npm run doctor -- --all   # also list every variable and its effective value
+ *
+ * Reads .env the same way the servers do. Exits with 1 when a value is
+ * invalid or a feature is misconfigured, so it can gate a deploy.
+ */
+
+dotenv.config({ quiet: true });
+
+const showAll = process.argv.includes('--all');
+const { config, errors, warnings } = loadConfig();
+const features = diagnoseFeatures();
+
+const ICONS = { enabled: '✅', misconfigured: '⚠️ ', missing: '➖' };
+
+console.log('🩺 Retrospxt Holdings configuration doctor\n');
+
+console.log('Features');
+for (const feature of features) {
+    const label = feature.status === 'enabled' ? '' : `${feature.status}: `;
+    console.log(`  ${ICONS[feature.status]} ${feature.name} — ${label}${feature.reason}`);
+}
+
+const problems = [
+    ...Object.values(errors).map(message => `  ❌ ${message}`),
+    ...Object.values(warnings).map(message => `  ⚠️  ${message}`)
+];
+if (problems.length > 0) {
+    console.log('\nVariables');
+    console.log(problems.join('\n'));
+}
+
+if (showAll) {
+    let group = null;
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (spec.group !== group) {
+            group = spec.group;
+            console.log(`\n${group}`);
+        }
+
+        const isSet = Boolean(String(process.env[key] || '').trim());
+        const shown = Array.isArray(config[key]) ? config[key].join(', ') || '(none)' : config[key];
+        const value = errors[key]
+            ? '(invalid)'
+            : isPlaceholder(process.env, key) ? '(placeholder)'
+            : config[key] === null ? '(not set)'
+            : spec.secret ? '(set)' : `${shown}${isSet ? '' : ' (default)'}`;
+        console.log(`  ${key.padEnd(32)} ${value.padEnd(28)} ${spec.description}`);
+    }
+}
+
+const count = (status) => features.filter(feature => feature.status === status).length;
+const failed = Object.keys(errors).length > 0 || count('misconfigured') > 0;
+
+console.log(`\n${count('enabled')} enabled, ${count('misconfigured')} misconfigured, ${count('missing')} missing` +
+    `${Object.keys(errors).length ? `, ${Object.keys(errors).length} invalid value(s)` : ''}.`);
+if (!showAll) {
+    console.log('Run `npm run doctor -- --all` to see every setting.');
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,88 @@
+/**
+ * Disposable email domains
+ * Throwaway inbox services whose addresses the signup forms turn away
+ * (js/shared/email-check.js). Subdomains are covered by their parent.
+ * Keep the list lowercase and sorted; add a domain when signups from a new
+ * service show up, and remove one only if it stops handing out throwaway
+ * inboxes. Like the rest of js/shared, this file is served to the browser
+ * as-is.
+ */
+
+export const DISPOSABLE_DOMAINS = [
+    '0-mail.com',
+    '10minutemail.com',
+    '10minutemail.net',
+    '20minutemail.com',
+    'anonbox.net',
+    'anonymbox.com',
+    'burnermail.io',
+    'chacuo.net',
+    'discard.email',
+    'discardmail.com',
+    'dispostable.com',
+    'dropmail.me',
+    'emailfake.com',
+    'emailondeck.com',
+    'emailtemporanea.net',
+    'fakeinbox.com',
+    'fakemail.net',
+    'fakemailgenerator.com',
+    'getairmail.com',
+    'getnada.com',
+    'guerrillamail.biz',
+    'guerrillamail.com',
+    'guerrillamail.de',
+    'guerrillamail.info',
+    'guerrillamail.net',
+    'guerrillamail.org',
+    'guerrillamailblock.com',
+    'harakirimail.com',
+    'inboxbear.com',
+    'inboxkitten.com',
+    'incognitomail.org',
+    'jetable.org',
+    'mail-temp.com',
+    'mailcatch.com',
+    'maildrop.cc',
+    'mailinator.com',
+    'mailinator.net',
+    'mailinator2.com',
+    'mailnesia.com',
+    'mailpoof.com',
+    'mailsac.com',
+    'mintemail.com',
+    'moakt.com',
+    'mohmal.com',
+    'mytemp.email',
+    'mytrashmail.com',
+    'nada.email',
+    'one-time.email',
+    'sharklasers.com',
+    'spam4.me',
+    'spambog.com',
+    'spambox.us',
+    'spamgourmet.com',
+    'temp-mail.io',
+    'temp-mail.org',
+    'tempail.com',
+    'tempinbox.com',
+    'tempmail.dev',
+    'tempmail.net',
+    'tempmail.plus',
+    'tempmailo.com',
+    'tempr.email',
+    'throwawaymail.com',
+    'tmail.ws',
+    'tmpmail.net',
+    'tmpmail.org',
+    'trash-mail.com',
+    'trashmail.com',
+    'trashmail.de',
+    'trashmail.io',
+    'trashmail.net',
+    'wegwerfemail.de',
+    'yopmail.com',
+    'yopmail.fr',
+    'yopmail.net',
+    'zetmail.com'
+];
@@ -0,0 +1,159 @@
+/**
+ * Email address checks
+ * Run entirely offline, in the browser and on the server alike:
+ * - `isValidEmail`: the address is a mailbox as RFC 5321 allows it in an
+ *   SMTP envelope (dot-atom or quoted local part, and a domain name; IP
+ *   address literals aren't accepted), including internationalized
+ *   addresses (RFC 6531)
+ * - `suggestEmail`: the address it probably meant when the domain looks like
+ *   a typo of a common mailbox provider or top-level domain
+ * - `isDisposableEmail`: the domain is a throwaway inbox service
+ *   (js/shared/disposable-domains.js)
+ */
+
+import { DISPOSABLE_DOMAINS } from './disposable-domains.js';
+
+const MAX_ADDRESS_LENGTH = 254;
+const MAX_LOCAL_LENGTH = 64;
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_LABEL_LENGTH = 63;
+
+// RFC 5322 atext, plus any non-ASCII character (RFC 6531)
+const DOT_ATOM = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~\u0080-\uFFFF-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~\u0080-\uFFFF-]+)*$/;
+const QUOTED_STRING = /^"(?:[\x20\x21\x23-\x5B\x5D-\x7E\u0080-\uFFFF]|\\[\x20-\x7E])*"$/;
+
+// Letters, digits and hyphens, not first or last; non-ASCII for IDNs
+const DOMAIN_LABEL = /^(?:[A-Za-z0-9\u0080-\uFFFF]|[A-Za-z0-9\u0080-\uFFFF][A-Za-z0-9\u0080-\uFFFF-]*[A-Za-z0-9\u0080-\uFFFF])$/;
+const TOP_LEVEL_DOMAIN = /^(?:[A-Za-z\u0080-\uFFFF]{2,}|xn--[A-Za-z0-9-]+)$/;
+
+// Mailbox providers most signups use; typos are matched against these
+const COMMON_DOMAINS = [
+    'aol.com', 'att.net', 'bellsouth.net', 'btinternet.com', 'charter.net',
+    'comcast.net', 'cox.net', 'email.com', 'fastmail.com', 'gmail.com',
+    'gmx.com', 'gmx.de', 'gmx.net', 'googlemail.com', 'hey.com',
+    'hotmail.co.uk', 'hotmail.com', 'hotmail.de', 'hotmail.fr', 'hotmail.it',
+    'icloud.com', 'live.co.uk', 'live.com', 'live.fr', 'mac.com', 'mail.com',
+    'me.com', 'msn.com', 'outlook.com', 'outlook.de', 'outlook.fr',
+    'proton.me', 'protonmail.com', 'qq.com', 'sbcglobal.net', 'verizon.net',
+    'web.de', 'yahoo.ca', 'yahoo.co.uk', 'yahoo.com', 'yahoo.de', 'yahoo.es',
+    'yahoo.fr', 'yahoo.it', 'yandex.com', 'ymail.com', 'zoho.com'
+];
+
+// Top-level domains that are almost always a slip for another
+const TLD_TYPOS = {
+    cim: 'com', cmo: 'com', cmm: 'com', comm: 'com', con: 'com',
+    cpm: 'com', ocm: 'com', vom: 'com', xom: 'com',
+    ent: 'net', nte: 'net', ner: 'net', nett: 'net',
+    ogr: 'org', orgg: 'org', rog: 'org'
+};
+
+const DISPOSABLE = new Set(DISPOSABLE_DOMAINS);
+
+/**
+ * Edit distance counting an adjacent transposition as one edit
+ */
+const editDistance = (a, b) => {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+};
+
+// `name.tld`, split at the last dot
+const splitDomain = (domain) => {
+    const dot = domain.lastIndexOf('.');
+    return { name: domain.slice(0, dot), tld: domain.slice(dot + 1) };
+};
+
+// Longer provider names tolerate more slips; the shortest must match exactly
+const allowedSlips = (name) => (name.length <= 3 ? 0 : name.length <= 5 ? 1 : 2);
+
+const splitAddress = (value) => {
+    const address = String(value === undefined || value === null ? '' : value).trim();
+    const at = address.lastIndexOf('@');
+    if (at < 1) return null;
+    return { local: address.slice(0, at), domain: address.slice(at + 1) };
+};
+
+/**
+ * The address's domain, lowercased, or '' when it has none
+ */
+export function emailDomain(value) {
+    const parts = splitAddress(value);
+    return parts ? parts.domain.toLowerCase() : '';
+}
+
+export function isValidEmail(value) {
+    const address = String(value === undefined || value === null ? '' : value).trim();
+    const parts = splitAddress(address);
+    if (!parts || address.length > MAX_ADDRESS_LENGTH) return false;
+
+    const { local, domain } = parts;
+    if (local.length > MAX_LOCAL_LENGTH || !(DOT_ATOM.test(local) || QUOTED_STRING.test(local))) {
+        return false;
+    }
+
+    const labels = domain.split('.');
+    return domain.length <= MAX_DOMAIN_LENGTH
+        && labels.length >= 2
+        && labels.every(label => label.length <= MAX_LABEL_LENGTH && DOMAIN_LABEL.test(label))
+        && TOP_LEVEL_DOMAIN.test(labels[labels.length - 1]);
+}
+
+/**
+ * The domain or one of its parents is a disposable inbox service
+ */
+export function isDisposableEmail(value) {
+    const labels = emailDomain(value).split('.');
+    return labels.some((_, i) => i < labels.length - 1 && DISPOSABLE.has(labels.slice(i).join('.')));
+}
+
+/**
+ * The corrected address when the domain looks like a typo, e.g.
+ * `jane@gmial.con` -> `jane@gmail.com`; null when it looks right
+ */
+export function suggestEmail(value) {
+    const parts = splitAddress(value);
+    if (!parts || !isValidEmail(value)) return null;
+
+    const domain = parts.domain.toLowerCase();
+    if (COMMON_DOMAINS.includes(domain)) return null;
+
+    const { name, tld } = splitDomain(domain);
+    const fixedTld = TLD_TYPOS[tld] || tld;
+
+    let best = null;
+    for (const candidate of COMMON_DOMAINS) {
+        const common = splitDomain(candidate);
+
+        // The same provider in another country (yahoo.in, hotmail.be) is a
+        // real domain, not a slip for the one listed
+        if (name === common.name && tld.length === 2 && common.tld.length === 2) continue;
+
+        const distance = editDistance(domain, candidate);
+        const slips = allowedSlips(common.name);
+
+        // gmail.co, gmail.cm; or gmial.com, gmial.con
+        const matches = slips === 0
+            ? name === common.name && distance <= 1
+            : distance <= 1 || (fixedTld === common.tld && editDistance(name, common.name) <= slips);
+
+        if (matches && (!best || distance < best.distance)) {
+            best = { domain: candidate, distance };
+        }
+    }
+
+    if (best) return `${parts.local}@${best.domain}`;
+    if (fixedTld !== tld) return `${parts.local}@${name}.${fixedTld}`;
+    return null;
+}
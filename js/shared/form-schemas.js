@@ -0,0 +1,193 @@
+/**
+ * Form schemas
+ * One declaration per form, loaded by the browser (script.js)
+ * and by the Express routes, so both sides apply the same rules and show the
+ * same messages. This file must stay plain ES module JavaScript that imports
+ * only its neighbours in js/shared: it is served to the browser as-is.
+ *
+ * A field's `rules` use the `data-validate` syntax, e.g.
+ * 'required,minLength:2,maxLength:100'; `input` is the form control's name
+ * when it differs from the API field. Errors are returned as
+ * `{ field: message }`, keyed by API field.
+ *
+ * Signup email fields use `email` (RFC syntax) and `notDisposable`. On top of
+ * their rules, `validateForm` asks about likely typos ("Did you mean
+ * jane@gmail.com?") until a submission says `emailConfirmed: true`.
+ *
+ * `consent` is the notice shown with the form and the checkboxes that grant
+ * consent, keyed by API field. Submissions report the version they showed
+ * and the server records it (server/consent.js). Change the version whenever
+ * the wording changes.
+ */
+
+import { isDisposableEmail, isValidEmail, suggestEmail } from './email-check.js';
+
+export const BUSINESS_SIZES = ['solo', 'small', 'medium', 'large'];
+export const AI_EXPERIENCE_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+export const RULES = {
+    email: {
+        validate: (value) => isValidEmail(value),
+        message: 'Please enter a valid email address'
+    },
+    notDisposable: {
+        validate: (value) => !isDisposableEmail(value),
+        message: 'Please use a permanent email address, not a disposable one'
+    },
+    // 7-15 digits with an optional leading +; spaces, dots, dashes and brackets are ignored
+    phone: {
+        validate: (value) => /^\+?[1-9]\d{6,14}$/.test(value.replace(/[\s.\-()]/g, '')),
+        message: 'Please enter a valid phone number'
+    },
+    required: {
+        validate: (value) => value.trim().length > 0,
+        message: 'This field is required'
+    },
+    minLength: {
+        validate: (value, minLength) => value.length >= Number(minLength),
+        message: (minLength) => `Minimum ${minLength} characters required`
+    },
+    maxLength: {
+        validate: (value, maxLength) => value.length <= Number(maxLength),
+        message: (maxLength) => `Maximum ${maxLength} characters allowed`
+    },
+    // oneOf:a|b|c, compared without case
+    oneOf: {
+        validate: (value, choices) => choices.split('|').includes(value.trim().toLowerCase()),
+        message: (choices) => `Please choose one of: ${choices.split('|').join(', ')}`
+    }
+};
+
+export const FORM_SCHEMAS = {
+    newsletter: {
+        formId: 'newsletter-signup',
+        fields: {
+            email: { rules: 'required,email,notDisposable,maxLength:254' },
+            name: { rules: 'maxLength:100' },
+            company: { rules: 'maxLength:200' }
+        },
+        consent: {
+            version: '2026-10-19',
+            text: 'By subscribing, you agree to receive our weekly newsletter by email. You can unsubscribe at any time.'
+        }
+    },
+
+    consultation: {
+        formId: 'consultation-form',
+        fields: {
+            name: { rules: 'required,minLength:2,maxLength:100' },
+            email: { rules: 'required,email,notDisposable,maxLength:254' },
+            company: { rules: 'maxLength:200' },
+            phone: { rules: 'phone' },
+            service: { rules: 'required,maxLength:100' },
+            message: { rules: 'required,minLength:10,maxLength:1000' }
+        },
+        consent: {
+            version: '2026-10-19',
+            text: 'We\'ll use these details only to respond to your consultation request.'
+        }
+    },
+
+    community: {
+        formId: 'community-form',
+        fields: {
+            name: { rules: 'required,minLength:2,maxLength:100', input: 'member-name' },
+            email: { rules: 'required,email,notDisposable,maxLength:254', input: 'member-email' },
+            company: { rules: 'maxLength:200', input: 'member-company' },
+            businessSize: { rules: `oneOf:${BUSINESS_SIZES.join('|')}`, input: 'business-size' },
+            aiExperience: { rules: `required,oneOf:${AI_EXPERIENCE_LEVELS.join('|')}`, input: 'ai-experience' }
+        },
+        consent: {
+            version: '2026-10-19',
+            text: 'By joining, you agree to our community guidelines and privacy policy.',
+            checkboxes: {
+                newsletterOptIn: 'Also subscribe to "The Priceless & The Pointless" newsletter'
+            }
+        }
+    }
+};
+
+/**
+ * First error for `value` under a rule string, or null when it passes.
+ * Empty optional values skip every rule but `required`.
+ */
+export function validateValue(raw, ruleList) {
+    const value = raw === undefined || raw === null ? '' : String(raw);
+
+    for (const rule of ruleList.split(',')) {
+        const [ruleName, ruleParam] = rule.split(':').map(part => part.trim());
+        const validationRule = RULES[ruleName];
+        if (!validationRule) continue;
+
+        if (ruleName !== 'required' && value.trim() === '') continue;
+
+        if (!validationRule.validate(value, ruleParam)) {
+            return typeof validationRule.message === 'function'
+                ? validationRule.message(ruleParam)
+                : validationRule.message;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate `data` against a map of field -> rule string (or `{ rules }`).
+ * Returns an object of field -> first error message (empty when valid).
+ */
+export function validateFields(data, fields) {
+    const errors = {};
+
+    for (const [field, spec] of Object.entries(fields)) {
+        const message = validateValue(data[field], typeof spec === 'string' ? spec : spec.rules);
+        if (message) errors[field] = message;
+    }
+
+    return errors;
+}
+
+/**
+ * The message asking about a likely typo in an email field, or null
+ */
+export function emailTypoMessage(value) {
+    const suggestion = suggestEmail(value);
+    return suggestion ? `Did you mean ${suggestion}?` : null;
+}
+
+const isConfirmed = (value) => value === true || value === 'true' || value === 'on';
+
+/**
+ * Validate a submission against one of FORM_SCHEMAS. Email fields that pass
+ * their rules but look like a typo fail too, unless `data.emailConfirmed`.
+ */
+export function validateForm(formName, data) {
+    const schema = FORM_SCHEMAS[formName];
+    if (!schema) throw new Error(`Unknown form: ${formName}`);
+
+    const errors = validateFields(data, schema.fields);
+    if (isConfirmed(data.emailConfirmed)) return errors;
+
+    for (const [field, { rules }] of Object.entries(schema.fields)) {
+        if (errors[field] || !rules.split(',').includes('email')) continue;
+        const message = emailTypoMessage(data[field]);
+        if (message) errors[field] = message;
+    }
+
+    return errors;
+}
+
+/**
+ * The schema for a form element, matched by its id
+ */
+export function schemaForForm(form) {
+    return Object.values(FORM_SCHEMAS).find(schema => form && schema.formId === form.id) || null;
+}
+
+/**
+ * The API field and rules for a form control name, or null
+ */
+export function fieldForInput(schema, inputName) {
+    const entry = Object.entries(schema.fields)
+        .find(([field, spec]) => (spec.input || field) === inputName);
+    return entry ? { field: entry[0], rules: entry[1].rules } : null;
+}
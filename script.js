@@ -3,6 +3,12 @@ document.addEventListener('DOMContentLoaded', function() {
     initializeWebsite();
 });
 
+// Validation rules shared with the server (js/shared/form-schemas.js)
+let formSchemas = null;
+import('./js/shared/form-schemas.js')
+    .then(module => { formSchemas = module; })
+    .catch(error => console.error('Form validation rules failed to load:', error));
+
 // Initialize all website functionality
 function initializeWebsite() {
     setupNavigation();
@@ -243,18 +249,21 @@ function setupForms() {
     // Newsletter signup form
     const newsletterForm = document.getElementById('newsletter-signup');
     if (newsletterForm) {
+        addSpamProtection(newsletterForm);
         newsletterForm.addEventListener('submit', handleNewsletterSubmit);
     }
     
-    // Schedule consultation form
-    const scheduleForm = document.getElementById('schedule-form');
-    if (scheduleForm) {
-        scheduleForm.addEventListener('submit', handleScheduleSubmit);
+    // Consultation request form (in the booking modal)
+    const consultationForm = document.getElementById('consultation-form');
+    if (consultationForm) {
+        addSpamProtection(consultationForm);
+        consultationForm.addEventListener('submit', handleConsultationSubmit);
     }
     
     // Community signup form
     const communityForm = document.getElementById('community-form');
     if (communityForm) {
+        addSpamProtection(communityForm);
         communityForm.addEventListener('submit', handleCommunitySubmit);
     }
     
@@ -262,93 +271,231 @@ function setupForms() {
     setupFormValidation();
 }
 
+// Add a hidden honeypot field and note when the form was rendered
+function addSpamProtection(form) {
+    if (!form.querySelector('input[name="website"]')) {
+        const trap = document.createElement('div');
+        trap.setAttribute('aria-hidden', 'true');
+        trap.style.cssText = 'position:absolute;left:-10000px;width:1px;height:1px;overflow:hidden;';
+        trap.innerHTML = '<input type="text" name="website" tabindex="-1" autocomplete="off">';
+        form.appendChild(trap);
+    }
+    
+    form.dataset.renderedAt = String(Date.now());
+}
+
+// Honeypot value and fill time, checked by the server's spam guard
+function spamFields(form) {
+    const honeypot = form.querySelector('input[name="website"]');
+    
+    return {
+        website: honeypot ? honeypot.value : '',
+        formFillMs: form.dataset.renderedAt ? Date.now() - Number(form.dataset.renderedAt) : undefined
+    };
+}
+
+// The consent notice version the form showed, recorded with the submission
+function consentFields(form) {
+    const schema = formSchemas && formSchemas.schemaForForm(form);
+    if (!schema || !schema.consent) return {};
+    
+    return {
+        consentVersion: schema.consent.version,
+        pageUrl: window.location.href
+    };
+}
+
+// Email typos are asked about once (on blur or by the server); after that
+// the submission keeps the address as typed
+function emailConfirmation(form) {
+    const asked = Array.from(form.querySelectorAll('input[type="email"]'))
+        .some(field => field.value && field.dataset.typoAsked === field.value);
+    
+    return asked ? { emailConfirmed: true } : {};
+}
+
 // Newsletter form submission
-function handleNewsletterSubmit(e) {
+async function handleNewsletterSubmit(e) {
     e.preventDefault();
     
-    const formData = new FormData(e.target);
-    const email = formData.get('email') || document.getElementById('email').value;
-    const company = formData.get('company') || document.getElementById('company').value;
+    const form = e.target;
+    const formData = new FormData(form);
+    const submitButton = form.querySelector('button[type="submit"]');
     
-    // Simulate form submission
-    showFormSuccess('Thank you for subscribing to "The Priceless & The Pointless"! You\'ll receive our weekly insights soon.');
+    if (submitButton) submitButton.disabled = true;
     
-    // Reset form
-    e.target.reset();
-    
-    // Log for demo purposes
-    console.log('Newsletter Signup:', { email, company });
+    try {
+        const result = await postForm('/api/newsletter-subscribe', {
+            email: formData.get('email'),
+            company: formData.get('company'),
+            ...spamFields(form),
+            ...consentFields(form),
+            ...emailConfirmation(form)
+        });
+        
+        showFormSuccess(result.message);
+        form.reset();
+    } catch (error) {
+        console.error('Newsletter Signup failed:', error);
+        showFieldErrors(form, error.fieldErrors);
+        showFormError(error.message);
+    } finally {
+        if (submitButton) submitButton.disabled = false;
+    }
 }
 
-// Schedule consultation form submission
-function handleScheduleSubmit(e) {
+// Consultation request form submission
+async function handleConsultationSubmit(e) {
     e.preventDefault();
     
-    const formData = new FormData(e.target);
+    const form = e.target;
+    const formData = new FormData(form);
     const data = {
-        name: formData.get('name') || document.getElementById('name').value,
-        email: formData.get('email') || document.getElementById('contact-email').value,
-        company: formData.get('company') || document.getElementById('company-name').value,
-        phone: formData.get('phone') || document.getElementById('phone').value,
-        service: formData.get('service') || document.getElementById('service-interest').value,
-        message: formData.get('message') || document.getElementById('message').value
+        name: formData.get('name'),
+        email: formData.get('email'),
+        company: formData.get('company'),
+        phone: formData.get('phone'),
+        service: formData.get('service'),
+        message: formData.get('message'),
+        ...spamFields(form),
+        ...consentFields(form),
+        ...emailConfirmation(form)
     };
+    const submitButton = form.querySelector('button[type="submit"]');
     
-    // Simulate form submission
-    showFormSuccess('Thank you for your interest! We\'ll contact you within 24 hours to schedule your consultation.');
-    
-    // Close modal and reset form
-    closeModal('schedule-modal');
-    e.target.reset();
+    if (submitButton) submitButton.disabled = true;
     
-    // Log for demo purposes
-    console.log('Schedule Consultation:', data);
+    try {
+        const result = await postForm('/api/consultation', data);
+        
+        showFormSuccess(result.message);
+        
+        // Close modal and reset form
+        closeModal('schedule-modal');
+        form.reset();
+    } catch (error) {
+        console.error('Consultation request failed:', error);
+        showFieldErrors(form, error.fieldErrors);
+        showFormError(error.message);
+    } finally {
+        if (submitButton) submitButton.disabled = false;
+    }
 }
 
 // Community signup form submission
-function handleCommunitySubmit(e) {
+async function handleCommunitySubmit(e) {
     e.preventDefault();
     
-    const formData = new FormData(e.target);
-    const data = {
-        name: formData.get('name') || document.getElementById('member-name').value,
-        email: formData.get('email') || document.getElementById('member-email').value,
-        company: formData.get('company') || document.getElementById('member-company').value,
-        businessSize: formData.get('businessSize') || document.getElementById('business-size').value,
-        aiExperience: formData.get('aiExperience') || document.getElementById('ai-experience').value,
-        newsletterOptIn: formData.get('newsletterOptIn') || document.getElementById('newsletter-opt-in').checked
-    };
+    const form = e.target;
+    const formData = new FormData(form);
+    const submitButton = form.querySelector('button[type="submit"]');
+    
+    if (submitButton) submitButton.disabled = true;
+    
+    try {
+        const result = await postForm('/api/community-join', {
+            name: formData.get('member-name'),
+            email: formData.get('member-email'),
+            company: formData.get('member-company'),
+            businessSize: formData.get('business-size'),
+            aiExperience: formData.get('ai-experience'),
+            newsletterOptIn: formData.get('newsletter-opt-in') === 'on',
+            ...spamFields(form),
+            ...consentFields(form),
+            ...emailConfirmation(form)
+        });
+        
+        showFormSuccess(result.message);
+        
+        // Close modal and reset form
+        closeModal('community-modal');
+        form.reset();
+    } catch (error) {
+        console.error('Community signup failed:', error);
+        showFieldErrors(form, error.fieldErrors);
+        showFormError(error.message);
+    } finally {
+        if (submitButton) submitButton.disabled = false;
+    }
+}
+
+// POST a form payload as JSON; rejects with the server's message and field errors
+async function postForm(url, payload) {
+    let response;
+    let result = {};
     
-    // Simulate form submission
-    showFormSuccess('Welcome to our community! Check your email for next steps and access to our exclusive resources.');
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        result = await response.json();
+    } catch (networkError) {
+        if (!response) {
+            throw new Error('We couldn\'t reach the server. Please check your connection and try again.');
+        }
+    }
     
-    // Close modal and reset form
-    closeModal('community-modal');
-    e.target.reset();
+    if (!response.ok || !result.success) {
+        const error = new Error(result.message || 'Something went wrong. Please try again later.');
+        error.fieldErrors = result.errors || {};
+        throw error;
+    }
     
-    // Log for demo purposes
-    console.log('Community Signup:', data);
+    return result;
+}
+
+// Show server-side validation errors next to their fields
+// Errors are keyed by API field; the schema knows which control each one is
+function showFieldErrors(form, errors) {
+    const schema = formSchemas && formSchemas.schemaForForm(form);
+    
+    Object.entries(errors || {}).forEach(([name, message]) => {
+        const spec = schema && schema.fields[name];
+        const field = form.querySelector(`[name="${(spec && spec.input) || name}"]`);
+        if (field) {
+            showFieldError(field, message);
+            if (formSchemas && message === formSchemas.emailTypoMessage(field.value)) {
+                field.dataset.typoAsked = field.value;
+            }
+        }
+    });
 }
 
 // Show form success message
 function showFormSuccess(message) {
-    // Create success notification
+    showFormNotification(message, 'success');
+}
+
+// Show form error message
+function showFormError(message) {
+    showFormNotification(message, 'error');
+}
+
+// Show a toast notification ('success' or 'error')
+function showFormNotification(message, type) {
+    const icon = type === 'error'
+        ? '<circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line>'
+        : '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22,4 12,14.01 9,11.01"></polyline>';
+    
+    // Create notification
     const notification = document.createElement('div');
-    notification.className = 'success-notification';
+    notification.className = `${type}-notification`;
     notification.innerHTML = `
         <div class="notification-content">
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
-                <polyline points="22,4 12,14.01 9,11.01"></polyline>
+                ${icon}
             </svg>
-            <span>${message}</span>
+            <span></span>
         </div>
     `;
+    notification.querySelector('span').textContent = message;
     
     // Add styles for notification
     const style = document.createElement('style');
     style.textContent = `
-        .success-notification {
+        .success-notification, .error-notification {
             position: fixed;
             top: 100px;
             right: 20px;
@@ -362,6 +509,11 @@ function showFormSuccess(message) {
             max-width: 400px;
         }
         
+        .error-notification {
+            background: linear-gradient(135deg, #EF4444, #DC2626);
+            box-shadow: 0 10px 25px rgba(239, 68, 68, 0.3);
+        }
+        
         .notification-content {
             display: flex;
             align-items: center;
@@ -401,7 +553,7 @@ function showFormSuccess(message) {
 
 // Form validation setup
 function setupFormValidation() {
-    const inputs = document.querySelectorAll('input[required], select[required], textarea[required]');
+    const inputs = document.querySelectorAll('form input, form select, form textarea');
     
     inputs.forEach(input => {
         input.addEventListener('blur', validateField);
@@ -409,36 +561,41 @@ function setupFormValidation() {
     });
 }
 
+// Rules for a control: its form's schema, else what its type and `required` imply
+function fieldRules(field) {
+    const schema = formSchemas.schemaForForm(field.form);
+    const entry = schema && formSchemas.fieldForInput(schema, field.name);
+    if (entry) return entry.rules;
+    
+    return [
+        field.hasAttribute('required') && 'required',
+        field.type === 'email' && 'email',
+        field.type === 'tel' && 'phone'
+    ].filter(Boolean).join(',');
+}
+
 // Validate individual field
 function validateField(e) {
     const field = e.target;
-    const value = field.value.trim();
     
     // Remove existing error
     clearFieldError(e);
     
-    // Check if required field is empty
-    if (field.hasAttribute('required') && !value) {
-        showFieldError(field, 'This field is required');
-        return false;
-    }
+    // The server checks everything again, so skipping until the rules load is safe
+    if (!formSchemas) return true;
     
-    // Email validation
-    if (field.type === 'email' && value) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(value)) {
-            showFieldError(field, 'Please enter a valid email address');
-            return false;
-        }
+    const rules = fieldRules(field);
+    const message = formSchemas.validateValue(field.value, rules);
+    if (message) {
+        showFieldError(field, message);
+        return false;
     }
     
-    // Phone validation (basic)
-    if (field.type === 'tel' && value) {
-        const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-        if (!phoneRegex.test(value.replace(/[\s\-\(\)]/g, ''))) {
-            showFieldError(field, 'Please enter a valid phone number');
-            return false;
-        }
+    // A likely typo is pointed out, but doesn't stop the submission
+    const typo = rules.split(',').includes('email') && formSchemas.emailTypoMessage(field.value);
+    if (typo) {
+        showFieldError(field, typo);
+        field.dataset.typoAsked = field.value;
     }
     
     return true;
@@ -0,0 +1,255 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { normalizeEmail, queryRecords } from './leads.js';
+
+/**
+ * Admin accounts
+ * Team members sign in with an email and password (scrypt-hashed) and get a
+ * session; scripts and integrations use API keys, of which only a SHA-256
+ * hash is stored. Both carry one of the roles below.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role can do everything the roles before it can
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+export const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const candidate = await scrypt(password, Buffer.from(salt, 'base64'), 64);
+    return safeEqual(candidate, Buffer.from(hash, 'base64'));
+}
+
+// Fields that are safe to return from the API
+const publicUser = ({ passwordHash, ...user }) => user;
+const publicKey = ({ hash, ...key }) => key;
+
+export function createAccountService({ store, sessionTtlHours = 12 }) {
+    const users = store.collection('users');
+    const apiKeys = store.collection('api-keys');
+    const sessions = store.collection('sessions');
+
+    // Pick up accounts changed by the other server process
+    const refresh = () => {
+        users.refresh();
+        apiKeys.refresh();
+        sessions.refresh();
+    };
+
+    const findUserByEmail = (email) => {
+        const normalized = normalizeEmail(email);
+        return users.findOne(user => user.email === normalized);
+    };
+
+    const createUser = async ({ email, name, role, password }) => users.insert({
+        email: normalizeEmail(email),
+        name: name ? String(name).trim() : null,
+        role,
+        passwordHash: await hashPassword(password),
+        disabled: false,
+        lastLoginAt: null
+    });
+
+    const endSessionsFor = async (userId) => {
+        for (const session of sessions.find(entry => entry.userId === userId)) {
+            await sessions.remove(session.id);
+        }
+    };
+
+    return {
+        users,
+        apiKeys,
+        sessions,
+        publicUser,
+        publicKey,
+
+        /**
+         * Whether any way of signing in exists yet
+         */
+        isConfigured() {
+            refresh();
+            return users.all().length > 0 || apiKeys.all().some(key => !key.revokedAt);
+        },
+
+        /**
+         * Users
+         */
+        listUsers(query) {
+            const result = queryRecords(users.all(), query, {
+                exactFields: ['role', 'email'],
+                searchFields: ['name', 'email']
+            });
+            return { ...result, items: result.items.map(publicUser) };
+        },
+
+        getUser(id) {
+            return users.get(id);
+        },
+
+        findUserByEmail,
+
+        createUser,
+
+        async updateUser(id, { name, role, password, disabled }) {
+            const user = users.get(id);
+            if (!user) return null;
+
+            const changes = {};
+            if (name !== undefined) changes.name = name ? String(name).trim() : null;
+            if (role !== undefined) changes.role = role;
+            if (disabled !== undefined) changes.disabled = disabled === true || disabled === 'true';
+            if (password) changes.passwordHash = await hashPassword(password);
+
+            const updated = await users.update(id, changes);
+
+            // A new password, a lower role or a disabled account ends every open session
+            if (password || changes.disabled || (role !== undefined && role !== user.role)) {
+                await endSessionsFor(id);
+            }
+
+            return updated;
+        },
+
+        async removeUser(id) {
+            if (!users.get(id)) return false;
+            await endSessionsFor(id);
+            return users.remove(id);
+        },
+
+        /**
+         * Create the first admin from the environment if that email has no account
+         */
+        async ensureUser({ email, password, role = 'admin' }) {
+            if (!email || !password || findUserByEmail(email)) return null;
+            return createUser({ email, name: null, role, password });
+        },
+
+        /**
+         * Sessions
+         */
+        async login(email, password) {
+            refresh();
+            const user = findUserByEmail(email);
+
+            // Hash anyway for unknown addresses so timing doesn't reveal them
+            const valid = await verifyPassword(password, user ? user.passwordHash : 'scrypt$AAAA$AAAA');
+            if (!user || user.disabled || !valid) return null;
+
+            const token = crypto.randomBytes(32).toString('base64url');
+            const expiresAt = new Date(Date.now() + sessionTtlHours * 60 * 60 * 1000).toISOString();
+
+            await sessions.insert({ userId: user.id, tokenHash: sha256(token), expiresAt });
+            const updated = await users.update(user.id, { lastLoginAt: new Date().toISOString() });
+
+            return { user: publicUser(updated), token, expiresAt };
+        },
+
+        async logout(token) {
+            const session = token && sessions.findOne(entry => entry.tokenHash === sha256(token));
+            return session ? sessions.remove(session.id) : false;
+        },
+
+        endSessionsFor,
+
+        /**
+         * Remove expired sessions; call periodically
+         */
+        async pruneSessions() {
+            const now = new Date().toISOString();
+            const expired = sessions.find(session => session.expiresAt < now);
+            for (const session of expired) {
+                await sessions.remove(session.id);
+            }
+            return expired.length;
+        },
+
+        /**
+         * The active user behind a session token, or null
+         */
+        userForSession(token) {
+            if (!token) return null;
+            refresh();
+
+            const session = sessions.findOne(entry => entry.tokenHash === sha256(token));
+            if (!session || session.expiresAt < new Date().toISOString()) return null;
+
+            const user = users.get(session.userId);
+            return user && !user.disabled ? user : null;
+        },
+
+        /**
+         * API keys
+         * Keys look like `rpx_<prefix>_<secret>`; the prefix is stored in the
+         * clear so keys can be told apart, the whole key only as a hash.
+         */
+        listApiKeys(query) {
+            const result = queryRecords(apiKeys.all(), query, {
+                exactFields: ['role'],
+                searchFields: ['name', 'prefix']
+            });
+            return { ...result, items: result.items.map(publicKey) };
+        },
+
+        async createApiKey({ name, role, createdBy = null }) {
+            const prefix = crypto.randomBytes(4).toString('hex');
+            const key = `rpx_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+            const record = await apiKeys.insert({
+                name: String(name).trim(),
+                role,
+                prefix,
+                hash: sha256(key),
+                createdBy,
+                lastUsedAt: null,
+                revokedAt: null
+            });
+
+            // The only time the full key is available
+            return { apiKey: publicKey(record), key };
+        },
+
+        async revokeApiKey(id) {
+            const key = apiKeys.get(id);
+            if (!key) return null;
+            return key.revokedAt ? key : apiKeys.update(id, { revokedAt: new Date().toISOString() });
+        },
+
+        /**
+         * The active API key record for a presented key, or null
+         */
+        async verifyApiKey(presented) {
+            const match = /^rpx_([0-9a-f]{8})_/.exec(presented || '');
+            if (!match) return null;
+            refresh();
+
+            const record = apiKeys.findOne(key => key.prefix === match[1]);
+            if (!record || record.revokedAt || !safeEqual(sha256(presented), record.hash)) return null;
+
+            // Note usage at most hourly to keep the log small
+            const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+            if (!record.lastUsedAt || record.lastUsedAt < hourAgo) {
+                await apiKeys.update(record.id, { lastUsedAt: new Date().toISOString() });
+            }
+
+            return record;
+        }
+    };
+}
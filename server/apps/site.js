@@ -0,0 +1,694 @@
+import express from 'express';
+import path from 'path';
+import { logger } from '../logger.js';
+import { VapiClient } from '@vapi-ai/server-sdk';
+import { countSubmissions, timeVapi } from '../metrics.js';
+import { createHealthChecks, healthHandlers, mailQueueCheck, smtpCheck, storeCheck } from '../health.js';
+import { createLeadRepository } from '../leads.js';
+import { createLeadsRouter } from '../routes/leads.js';
+import { createAuthRouter } from '../routes/auth.js';
+import { createAccountsRouter } from '../routes/accounts.js';
+import { createTokenSigner, resolveTokenSecret } from '../tokens.js';
+import { createNewsletterService } from '../newsletter.js';
+import { renderStatusPage } from '../pages.js';
+import { createSuppressionList } from '../suppression.js';
+import { createUnsubscribeService } from '../unsubscribe.js';
+import { createConsentLog } from '../consent.js';
+import { createConsentsRouter } from '../routes/consents.js';
+import { createMailer } from '../mailer.js';
+import { createSuppressionsRouter } from '../routes/suppressions.js';
+import { createOutboxRouter } from '../routes/outbox.js';
+import { validateFields, validateForm } from '../validation.js';
+import { createTemplateEngine } from '../template-engine.js';
+import { createWelcomeService, loadWelcomeConfig } from '../welcome.js';
+import { createSpamGuard } from '../spam-guard.js';
+import { createMailQueue } from '../mail-queue.js';
+import { createMailQueueRouter } from '../routes/mail-queue.js';
+import { createCampaignService } from '../campaigns.js';
+import { createCampaignsRouter } from '../routes/campaigns.js';
+import { createSegmentService } from '../segments.js';
+import { createSegmentsRouter } from '../routes/segments.js';
+import { createLeadImporter } from '../lead-import.js';
+import { createCsvRouter } from '../routes/csv.js';
+import { createStatsRouter } from '../routes/stats.js';
+import { createWebhookService } from '../webhooks.js';
+import { createWebhooksRouter } from '../routes/webhooks.js';
+import { createPrivacyService, PRIVACY_ACTIONS } from '../privacy.js';
+import { createPrivacyRouter } from '../routes/privacy.js';
+
+// What the site serves from the repository root. Everything else there -
+// the data store, .env, server code - stays private.
+const PUBLIC_FILES = ['index.html', 'styles.css', 'script.js', 'test-vapi.html'];
+const PUBLIC_DIRS = ['css', 'js', 'assets', 'admin'];
+
+function createAssetsRouter(rootDir) {
+    const assets = express.Router();
+
+    // The default DATA_DIR lives under the root; never serve it, whatever is listed
+    assets.use('/data', (req, res) => res.status(404).end());
+
+    for (const file of PUBLIC_FILES) {
+        assets.get(`/${file}`, (req, res) => res.sendFile(path.join(rootDir, file)));
+    }
+    for (const dir of PUBLIC_DIRS) {
+        assets.use(`/${dir}`, express.static(path.join(rootDir, dir)));
+    }
+
+    return assets;
+}
+
+/**
+ * Site app
+ * The website, its form and email-link routes, and the admin API, as one
+ * mountable router (see server/host.js). Background work - the mail queue,
+ * webhook deliveries, campaigns and hourly housekeeping - runs between
+ * `start()` and `stop()`.
+ */
+export function createSiteApp({ config, store, accounts, auth, rootDir }) {
+    const router = express.Router();
+    const PUBLIC_URL = config.PUBLIC_URL;
+
+    // Every submission is recorded in the store before any email goes out
+    const leads = createLeadRepository(store);
+    const tokenSecret = resolveTokenSecret(store.dir, config.TOKEN_SECRET);
+    const tokens = createTokenSigner(tokenSecret);
+    const suppression = createSuppressionList(store);
+    const consentLog = createConsentLog(store);
+    const unsubscribe = createUnsubscribeService({ leads, suppression, tokens, baseUrl: PUBLIC_URL, consentLog });
+
+    // Viewers can read, operators can change things and send mail
+    const adminAccess = auth.requireAccess({ read: 'viewer', write: 'operator' });
+
+    // Email transport - checks the suppression list and adds List-Unsubscribe headers
+    const mailer = createMailer({
+        config,
+        suppression,
+        unsubscribeUrl: (email) => unsubscribe.urlFor(email)
+    });
+
+    // Outbound mail queue - routes enqueue, a background worker sends with retries
+    const mailQueue = createMailQueue({
+        store,
+        send: (mailOptions) => mailer.send(mailOptions),
+        maxAttempts: config.MAIL_MAX_ATTEMPTS,
+        baseDelayMs: config.MAIL_RETRY_BASE_SECONDS * 1000
+    });
+
+    // Outbound webhooks - signed event deliveries to other tools, retried like mail
+    const webhooks = createWebhookService({
+        store,
+        maxAttempts: config.WEBHOOK_MAX_ATTEMPTS,
+        baseDelayMs: config.WEBHOOK_RETRY_BASE_SECONDS * 1000
+    });
+
+    // Email templates (server/templates)
+    const templates = createTemplateEngine({ cache: config.NODE_ENV === 'production' });
+
+    /**
+     * Queue a notification to the team about `dataSubject`'s submission
+     * Failures are logged rather than thrown: the submission is already stored.
+     */
+    const notifyTeam = async (emailContent, label, dataSubject) => {
+        const to = config.NOTIFICATION_EMAIL;
+
+        try {
+            return await mailQueue.enqueue({
+                to,
+                dataSubject,
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
+            }, { label: `${label} notification` });
+        } catch (error) {
+            logger.error(`${label} notification could not be queued`, { error });
+            return null;
+        }
+    };
+
+    // Newsletter double opt-in
+    const newsletter = createNewsletterService({
+        leads,
+        suppression,
+        tokens,
+        templates,
+        sendMail: (mailOptions) => mailQueue.enqueue(mailOptions, { label: 'Newsletter confirmation' }),
+        baseUrl: PUBLIC_URL,
+        confirmTtlHours: config.NEWSLETTER_CONFIRM_TTL_HOURS
+    });
+
+    // Audience segments over members and subscribers
+    const segments = createSegmentService({ store, leads });
+
+    // Newsletter campaigns - sent straight through the transport in throttled
+    // batches, with their own per-recipient delivery records
+    const campaigns = createCampaignService({
+        store,
+        leads,
+        segments,
+        templates,
+        sendMail: (mailOptions) => mailer.send(mailOptions),
+        unsubscribeUrl: (email) => unsubscribe.urlFor(email),
+        batchSize: config.CAMPAIGN_BATCH_SIZE,
+        batchIntervalMs: config.CAMPAIGN_BATCH_INTERVAL_SECONDS * 1000
+    });
+
+    // Spam protection for public form routes
+    const spamGuard = createSpamGuard({
+        ipLimit: {
+            windowMs: config.RATE_LIMIT_IP_WINDOW_MINUTES * 60 * 1000,
+            max: config.RATE_LIMIT_IP_MAX
+        },
+        emailLimit: {
+            windowMs: config.RATE_LIMIT_EMAIL_WINDOW_MINUTES * 60 * 1000,
+            max: config.RATE_LIMIT_EMAIL_MAX
+        },
+        minFillMs: config.FORM_MIN_FILL_MS
+    });
+
+    // Data subject requests - export and erasure, including calls stored at Vapi
+    // when a key is configured
+    const vapi = config.VAPI_PRIVATE_KEY ? new VapiClient({ token: config.VAPI_PRIVATE_KEY }) : null;
+    const privacy = createPrivacyService({
+        store,
+        tokens,
+        templates,
+        sendMail: (mailOptions) => mailQueue.enqueue(mailOptions, { label: 'Privacy request' }),
+        baseUrl: PUBLIC_URL,
+        hashSecret: tokenSecret,
+        outbox: mailer.outbox,
+        vapiCalls: vapi && {
+            list: () => timeVapi('calls.list', () => vapi.calls.list({ limit: 1000 })),
+            remove: (id) => timeVapi('calls.delete', () => vapi.calls.delete(id))
+        }
+    });
+
+    // Welcome autoresponders (set WELCOME_EMAILS_ENABLED=false to turn them off)
+    const welcome = createWelcomeService({
+        leads,
+        templates,
+        sendMail: (mailOptions) => mailQueue.enqueue(mailOptions, { label: 'Welcome' }),
+        baseUrl: PUBLIC_URL,
+        config: loadWelcomeConfig(config.WELCOME_CONFIG)
+    });
+
+    /**
+     * Queue a welcome email to the submitter; failures are only logged
+     */
+    const sendWelcome = async (label, send) => {
+        if (!config.WELCOME_EMAILS_ENABLED) {
+            return;
+        }
+
+        try {
+            await send();
+        } catch (error) {
+            logger.error(`${label} welcome email could not be queued`, { error });
+        }
+    };
+
+    // Expire pending subscriptions that were never confirmed
+    const expirePendingSubscriptions = async () => {
+        try {
+            const expired = await newsletter.expirePending();
+            if (expired > 0) {
+                logger.info('Expired unconfirmed newsletter subscriptions', { count: expired });
+            }
+        } catch (error) {
+            logger.error('Error expiring pending subscriptions', { error });
+        }
+    };
+
+    // Routes
+    router.get('/', (req, res) => {
+        res.sendFile(path.join(rootDir, 'index.html'));
+    });
+
+    // Liveness and readiness: each dependency reports its own status
+    const health = healthHandlers(createHealthChecks({
+        checks: {
+            store: storeCheck(store),
+            smtp: smtpCheck(mailer),
+            mailQueue: mailQueueCheck(mailQueue)
+        }
+    }));
+    // The original health endpoint answers with the readiness report
+    router.get('/api/health', health.ready);
+    router.get('/api/health/live', health.live);
+    router.get('/api/health/ready', health.ready);
+
+    // Sign-in for the admin dashboard
+    router.use('/api/auth', createAuthRouter({ accounts, auth }));
+
+    // Users and API keys - admins only (guarded by path, since every router shares /api/admin)
+    router.use(['/api/admin/users', '/api/admin/api-keys'], auth.requireRole('admin'));
+    router.use('/api/admin', createAccountsRouter({ accounts }));
+
+    // Outbound webhooks - admins only, since endpoints receive lead data
+    router.use('/api/admin/webhooks', auth.requireRole('admin'));
+    router.use('/api/admin', createWebhooksRouter({ webhooks }));
+
+    // Data export and erasure - admins only
+    router.use('/api/admin/privacy', auth.requireRole('admin'));
+    router.use('/api/admin', createPrivacyRouter({ privacy }));
+
+    // Lead query API (members and subscribers)
+    router.use('/api/admin', adminAccess, createLeadsRouter({ leads }));
+
+    // Suppression list API
+    router.use('/api/admin', adminAccess, createSuppressionsRouter({ suppression }));
+
+    // Consent records API
+    router.use('/api/admin', adminAccess, createConsentsRouter({ consentLog, unsubscribe, webhooks }));
+
+    // Mail queue and dead-letter API
+    router.use('/api/admin', adminAccess, createMailQueueRouter({ mailQueue }));
+
+    // Messages the outbox transport saved instead of sending
+    if (mailer.outbox) {
+        router.use('/dev/outbox', adminAccess, createOutboxRouter({ outbox: mailer.outbox }));
+    }
+
+    // Newsletter campaign API
+    router.use('/api/admin', adminAccess, createCampaignsRouter({ campaigns, segments }));
+
+    // Segment API
+    router.use('/api/admin', adminAccess, createSegmentsRouter({ segments, campaigns }));
+
+    // Dashboard statistics
+    router.use('/api/admin', adminAccess, createStatsRouter({ leads, mailQueue }));
+
+    // CSV export and import
+    router.use('/api/admin', adminAccess, createCsvRouter({
+        leads,
+        segments,
+        importer: createLeadImporter({ leads })
+    }));
+
+    // Community form submission endpoint
+    router.post('/api/community-join', countSubmissions('community-join'), spamGuard.protect('community-join'), async (req, res) => {
+        try {
+            const formData = req.body;
+
+            // Same schema script.js applies to the community form
+            const errors = validateForm('community', formData);
+
+            if (Object.keys(errors).length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please correct the highlighted fields.',
+                    errors
+                });
+            }
+
+            // Record the submission first so it survives any email failure
+            const member = await leads.saveMember(formData);
+            logger.info('Community member saved', { memberId: member.id });
+
+            const newsletterOptIn = formData.newsletterOptIn === true || formData.newsletterOptIn === 'true';
+            await consentLog.recordSubmission('community', formData, {
+                email: member.email,
+                purposes: newsletterOptIn ? ['community', 'newsletter'] : ['community'],
+                source: 'community-form',
+                page: req.get('referer'),
+                recordId: member.id
+            });
+            await webhooks.emit('member.joined', member);
+
+            if (newsletterOptIn) {
+                // The membership is what was asked for; a failed confirmation is only logged
+                const { subscriber, alreadyConfirmed, confirmationError } = await newsletter.subscribe(formData, { source: 'community-form' });
+                if (confirmationError) {
+                    logger.error('Newsletter confirmation for community member failed', { memberId: member.id, error: confirmationError });
+                }
+                if (!alreadyConfirmed) {
+                    await webhooks.emit('newsletter.subscribed', subscriber);
+                }
+            }
+
+            await notifyTeam(templates.render('community-join', member), 'Community join', member.email);
+            await sendWelcome('Community member', () => welcome.sendMemberWelcome(member));
+
+            res.json({
+                success: true,
+                message: 'Thank you for joining our community! We\'ll be in touch soon.'
+            });
+
+        } catch (error) {
+            logger.error('Error processing community join', { error });
+
+            res.status(500).json({
+                success: false,
+                message: 'There was an error processing your request. Please try again later.'
+            });
+        }
+    });
+
+    // Newsletter subscription endpoint
+    router.post('/api/newsletter-subscribe', countSubmissions('newsletter-subscribe'), spamGuard.protect('newsletter-subscribe'), async (req, res) => {
+        try {
+            const { email, name, company } = req.body;
+
+            const errors = validateForm('newsletter', req.body);
+
+            if (Object.keys(errors).length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please correct the highlighted fields.',
+                    errors
+                });
+            }
+
+            // Record the subscription first, then ask the subscriber to confirm it
+            const { subscriber, alreadyConfirmed, confirmationError } = await newsletter.subscribe({ email, name, company });
+            logger.info('Newsletter subscriber saved', { subscriberId: subscriber.id });
+            await consentLog.recordSubmission('newsletter', req.body, {
+                email: subscriber.email,
+                purposes: ['newsletter'],
+                source: 'newsletter-form',
+                page: req.get('referer'),
+                recordId: subscriber.id
+            });
+
+            if (alreadyConfirmed) {
+                return res.json({
+                    success: true,
+                    message: 'You\'re already subscribed to our newsletter. Thank you!'
+                });
+            }
+
+            await webhooks.emit('newsletter.subscribed', subscriber);
+
+            if (confirmationError) {
+                logger.error('Error sending newsletter confirmation email', { subscriberId: subscriber.id, error: confirmationError });
+
+                return res.status(503).json({
+                    success: false,
+                    message: 'We couldn\'t send your confirmation email. Please try again later.'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Almost done! Check your inbox and confirm your subscription.'
+            });
+
+        } catch (error) {
+            logger.error('Error processing newsletter subscription', { error });
+
+            res.status(500).json({
+                success: false,
+                message: 'There was an error processing your subscription. Please try again later.'
+            });
+        }
+    });
+
+    // Consultation request endpoint
+    router.post('/api/consultation', countSubmissions('consultation'), spamGuard.protect('consultation'), async (req, res) => {
+        try {
+            const formData = req.body;
+
+            // Same schema script.js applies to the consultation form
+            const errors = validateForm('consultation', formData);
+
+            if (Object.keys(errors).length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please correct the highlighted fields.',
+                    errors
+                });
+            }
+
+            // Record the request first so it survives any email failure
+            const consultation = await leads.saveConsultation(formData);
+            logger.info('Consultation request saved', { consultationId: consultation.id });
+            await consentLog.recordSubmission('consultation', formData, {
+                email: consultation.email,
+                purposes: ['consultation'],
+                source: 'consultation-form',
+                page: req.get('referer'),
+                recordId: consultation.id
+            });
+            await webhooks.emit('consultation.requested', consultation);
+
+            await notifyTeam(templates.render('consultation-request', consultation), 'Consultation request', consultation.email);
+
+            res.json({
+                success: true,
+                message: 'Thank you for your interest! We\'ll contact you within 24 hours to schedule your consultation.'
+            });
+
+        } catch (error) {
+            logger.error('Error processing consultation request', { error });
+
+            res.status(500).json({
+                success: false,
+                message: 'There was an error processing your request. Please try again later.'
+            });
+        }
+    });
+
+    // Newsletter confirmation link
+    router.get('/api/newsletter/confirm', async (req, res) => {
+        try {
+            const { outcome, subscriber } = await newsletter.confirm(req.query.token);
+
+            if (outcome === 'invalid') {
+                return res.status(400).send(renderStatusPage({
+                    title: 'Link expired',
+                    message: 'This confirmation link is invalid or has expired. Please subscribe again from our website.',
+                    success: false
+                }));
+            }
+
+            if (outcome === 'confirmed') {
+                logger.info('Newsletter subscription confirmed', { subscriberId: subscriber.id });
+                await consentLog.recordConfirmation(subscriber.email, {
+                    purposes: ['newsletter'],
+                    source: 'confirmation-link',
+                    recordId: subscriber.id
+                });
+                await webhooks.emit('newsletter.confirmed', subscriber);
+                await notifyTeam(templates.render('newsletter-subscription', subscriber), 'Newsletter subscription', subscriber.email);
+                await sendWelcome('Newsletter subscriber', () => welcome.sendSubscriberWelcome(subscriber));
+            }
+
+            res.send(renderStatusPage({
+                title: 'Subscription confirmed',
+                message: 'You\'re on the list for The Priceless & The Pointless. Look out for our next issue!'
+            }));
+
+        } catch (error) {
+            logger.error('Error confirming newsletter subscription', { error });
+
+            res.status(500).send(renderStatusPage({
+                title: 'Something went wrong',
+                message: 'We couldn\'t confirm your subscription. Please try again later.',
+                success: false
+            }));
+        }
+    });
+
+    // Unsubscribe link - confirmation page
+    router.get('/api/unsubscribe', (req, res) => {
+        const email = unsubscribe.emailFor(req.query.token);
+
+        if (!email) {
+            return res.status(400).send(renderStatusPage({
+                title: 'Invalid link',
+                message: 'This unsubscribe link is invalid. Please use the link from your most recent email.',
+                success: false
+            }));
+        }
+
+        res.send(renderStatusPage({
+            title: 'Unsubscribe',
+            message: `Stop all newsletter and community emails to ${email}?`,
+            form: {
+                action: `/api/unsubscribe?token=${encodeURIComponent(req.query.token)}`,
+                label: 'Unsubscribe'
+            }
+        }));
+    });
+
+    // Unsubscribe - form submission and RFC 8058 one-click POST from mail clients
+    router.post('/api/unsubscribe', async (req, res) => {
+        try {
+            const oneClick = req.body && req.body['List-Unsubscribe'] === 'One-Click';
+            const email = await unsubscribe.unsubscribe(req.query.token, {
+                source: oneClick ? 'one-click' : 'link'
+            });
+
+            if (!email) {
+                return res.status(400).send(renderStatusPage({
+                    title: 'Invalid link',
+                    message: 'This unsubscribe link is invalid. Please use the link from your most recent email.',
+                    success: false
+                }));
+            }
+
+            logger.info('Address unsubscribed', { via: oneClick ? 'one-click' : 'link' });
+            await webhooks.emit('newsletter.unsubscribed', { email, source: oneClick ? 'one-click' : 'link' });
+
+            res.send(renderStatusPage({
+                title: 'You\'re unsubscribed',
+                message: `We won't send any more newsletter or community emails to ${email}.`
+            }));
+
+        } catch (error) {
+            logger.error('Error processing unsubscribe', { error });
+
+            res.status(500).send(renderStatusPage({
+                title: 'Something went wrong',
+                message: 'We couldn\'t process your request. Please try again later.',
+                success: false
+            }));
+        }
+    });
+
+    // Data subject request - emails a confirmation link to the address. The
+    // answer is the same whether or not we hold anything for it.
+    // No form on the site posts here, so API clients may leave out formFillMs
+    router.post('/api/privacy/request', spamGuard.protect('privacy-request', { requireFillTime: false }), async (req, res) => {
+        try {
+            const errors = validateFields(req.body, {
+                email: 'required,email,maxLength:254',
+                action: `required,oneOf:${PRIVACY_ACTIONS.join('|')}`
+            });
+
+            if (Object.keys(errors).length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please correct the highlighted fields.',
+                    errors
+                });
+            }
+
+            const action = String(req.body.action).trim().toLowerCase();
+            const sent = await privacy.requestLink(req.body.email, action);
+            logger.info('Privacy request received', { action, linkSent: sent });
+
+            res.json({
+                success: true,
+                message: 'If we hold any data for this address, we\'ve emailed it a link to confirm your request.'
+            });
+
+        } catch (error) {
+            logger.error('Error processing privacy request', { error });
+
+            res.status(500).json({
+                success: false,
+                message: 'There was an error processing your request. Please try again later.'
+            });
+        }
+    });
+
+    const invalidPrivacyLink = (res) => res.status(400).send(renderStatusPage({
+        title: 'Invalid link',
+        message: 'This link is invalid or has expired. Please make your request again.',
+        success: false
+    }));
+
+    // Privacy request link - confirmation page
+    router.get('/api/privacy/confirm', (req, res) => {
+        const request = privacy.resolveLink(req.query.token);
+        if (!request) return invalidPrivacyLink(res);
+
+        res.send(renderStatusPage(request.action === 'export' ? {
+            title: 'Download your data',
+            message: `Download a copy of the data we hold for ${request.email}?`,
+            form: {
+                action: `/api/privacy/confirm?token=${encodeURIComponent(req.query.token)}`,
+                label: 'Download my data'
+            }
+        } : {
+            title: 'Delete your data',
+            message: `Permanently delete the data we hold for ${request.email}? This can't be undone.`,
+            form: {
+                action: `/api/privacy/confirm?token=${encodeURIComponent(req.query.token)}`,
+                label: 'Delete my data'
+            }
+        }));
+    });
+
+    // Privacy request link - carry out the export or erasure. Each link is
+    // used up here, so it can't be replayed.
+    router.post('/api/privacy/confirm', async (req, res) => {
+        try {
+            const request = await privacy.redeemLink(req.query.token);
+            if (!request) return invalidPrivacyLink(res);
+
+            const options = { actor: 'subject', via: 'self-service' };
+
+            if (request.action === 'export') {
+                const data = await privacy.exportData({ email: request.email }, options);
+                logger.info('Data export served', { auditId: data.auditId, via: 'self-service' });
+                res.attachment('my-data.json');
+                return res.send(JSON.stringify(data, null, 2));
+            }
+
+            const result = await privacy.erase({ email: request.email }, options);
+            logger.info('Data erased', { auditId: result.auditId, complete: result.complete, via: 'self-service' });
+
+            res.send(renderStatusPage({
+                title: 'Your data has been deleted',
+                message: result.complete
+                    ? `We've deleted the data we held for ${request.email}. We keep only a record that this address must not be emailed.`
+                    : `We've deleted the data we held for ${request.email}. Some call records couldn't be removed yet; our team will follow up.`
+            }));
+
+        } catch (error) {
+            logger.error('Error processing privacy confirmation', { error });
+
+            res.status(500).send(renderStatusPage({
+                title: 'Something went wrong',
+                message: 'We couldn\'t process your request. Please try again later.',
+                success: false
+            }));
+        }
+    });
+
+    const timers = [];
+
+    return {
+        name: 'site',
+        router,
+
+        // The site's pages, scripts and the admin dashboard, served before
+        // any request logging
+        assets: createAssetsRouter(rootDir),
+
+        start() {
+            // First admin from the environment; later users are added from the API
+            accounts.ensureUser({ email: config.ADMIN_EMAIL, password: config.ADMIN_PASSWORD })
+                .then(user => user && logger.info('Created bootstrap admin account', { userId: user.id }))
+                .catch(error => logger.error('Failed to create admin account', { error }));
+
+            mailQueue.start();
+            webhooks.start();
+            campaigns.resumeInterrupted();
+
+            expirePendingSubscriptions();
+            timers.push(
+                setInterval(expirePendingSubscriptions, 60 * 60 * 1000),
+                setInterval(() => {
+                    accounts.pruneSessions().catch(error => logger.error('Failed to prune sessions', { error }));
+                }, 60 * 60 * 1000)
+            );
+            timers.forEach(timer => timer.unref());
+
+            if (mailer.outbox && !config.MAIL_TRANSPORT) {
+                logger.warn(`Email configuration needed: messages are saved to ${PUBLIC_URL}/dev/outbox instead of being sent. Set GMAIL_USER and GMAIL_APP_PASSWORD, or SMTP_HOST, SMTP_USER and SMTP_PASSWORD, in .env (or MAIL_TRANSPORT=outbox to keep this). Run \`npm run doctor\` for details.`);
+            }
+        },
+
+        /**
+         * Stop taking on background work and finish what is due: queued
+         * mail and webhook deliveries are sent, and campaigns stop after
+         * their current batch (they resume on the next start)
+         */
+        async stop() {
+            timers.splice(0).forEach(timer => clearInterval(timer));
+            await Promise.all([mailQueue.stop(), webhooks.stop(), campaigns.stop()]);
+        }
+    };
+}
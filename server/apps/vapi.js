@@ -0,0 +1,407 @@
+import express from 'express';
+import crypto from 'crypto';
+import { VapiClient } from '@vapi-ai/server-sdk';
+import { logger } from '../logger.js';
+import { countVapiEvent, timeVapi } from '../metrics.js';
+import { createHealthChecks, healthHandlers, storeCheck } from '../health.js';
+
+/**
+ * Vapi app
+ * Voice assistant creation, call management and Vapi's webhook, under
+ * /api/vapi, as a mountable router (see server/host.js). Uses the same
+ * accounts as the site: calls cost money and list customer phone numbers.
+ */
+export function createVapiApp({ config, store, auth }) {
+    const router = express.Router();
+
+    // VAPI sends the secret configured on the assistant's server URL as X-Vapi-Secret
+    const WEBHOOK_SECRET = config.VAPI_WEBHOOK_SECRET;
+
+    function verifyWebhookSecret(req, res, next) {
+        if (!WEBHOOK_SECRET) return next();
+
+        const provided = Buffer.from(req.get('x-vapi-secret') || '');
+        const expected = Buffer.from(WEBHOOK_SECRET);
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return res.status(401).json({ error: 'Invalid webhook secret' });
+        }
+
+        next();
+    }
+
+    // Initialize VAPI client
+    const vapi = new VapiClient({
+        token: config.VAPI_PRIVATE_KEY,
+    });
+
+    // Liveness and readiness; a rejected key or a Vapi outage reads as degraded
+    const health = healthHandlers(createHealthChecks({
+        checks: {
+            store: storeCheck(store),
+            vapi: {
+                run: async () => {
+                    try {
+                        await timeVapi('assistants.list', () => vapi.assistants.list({ limit: 1 }));
+                    } catch (error) {
+                        if (error.statusCode === 401 || error.statusCode === 403) {
+                            return { status: 'down', message: 'Vapi rejected VAPI_PRIVATE_KEY' };
+                        }
+                        throw error;
+                    }
+                    return { status: 'up' };
+                }
+            }
+        }
+    }));
+    // The original health endpoint answers with the readiness report
+    router.get('/api/vapi/health', health.ready);
+    router.get('/api/vapi/health/live', health.live);
+    router.get('/api/vapi/health/ready', health.ready);
+
+    // Create a new voice assistant
+    router.post('/api/vapi/assistants', auth.requireRole('admin'), async (req, res) => {
+        try {
+            const {
+                name,
+                voice = 'jennifer',
+                model = 'gpt-4',
+                systemPrompt,
+                firstMessage,
+                endCallMessage = "Thank you for calling Retrospxt Holdings. Have a great day!"
+            } = req.body;
+
+            if (!name || !systemPrompt || !firstMessage) {
+                return res.status(400).json({
+                    error: 'Missing required fields: name, systemPrompt, firstMessage'
+                });
+            }
+
+            const assistantConfig = {
+                name,
+                voice: {
+                    provider: 'playht',
+                    voiceId: voice
+                },
+                model: {
+                    provider: 'openai',
+                    model,
+                    systemMessage: systemPrompt,
+                    temperature: 0.7
+                },
+                firstMessage,
+                endCallMessage,
+                recordingEnabled: true,
+                endCallPhrases: ["goodbye", "bye", "end call", "hang up", "thank you"],
+                maxDurationSeconds: 600, // 10 minutes max
+                silenceTimeoutSeconds: 30,
+                responseDelaySeconds: 0.4,
+                llmRequestDelaySeconds: 0.1
+            };
+
+            const assistant = await timeVapi('assistants.create', () => vapi.assistants.create(assistantConfig));
+
+            res.json({
+                success: true,
+                assistant: {
+                    id: assistant.id,
+                    name: assistant.name,
+                    voice: assistant.voice.voiceId,
+                    model: assistant.model.model
+                }
+            });
+
+        } catch (error) {
+            logger.error('Error creating assistant', { error });
+            res.status(500).json({
+                error: 'Failed to create voice assistant',
+                details: error.message
+            });
+        }
+    });
+
+    // Get all assistants
+    router.get('/api/vapi/assistants', auth.requireRole('viewer'), async (req, res) => {
+        try {
+            const response = await timeVapi('assistants.list', () => vapi.assistants.list());
+
+            res.json({
+                success: true,
+                assistants: response.data.map(assistant => ({
+                    id: assistant.id,
+                    name: assistant.name,
+                    voice: assistant.voice?.voiceId,
+                    model: assistant.model?.model,
+                    createdAt: assistant.createdAt
+                }))
+            });
+
+        } catch (error) {
+            logger.error('Error fetching assistants', { error });
+            res.status(500).json({
+                error: 'Failed to fetch assistants',
+                details: error.message
+            });
+        }
+    });
+
+    // Make an outbound call
+    router.post('/api/vapi/calls', auth.requireRole('operator'), async (req, res) => {
+        try {
+            const {
+                phoneNumber,
+                assistantId,
+                customerName = 'Customer'
+            } = req.body;
+
+            if (!phoneNumber || !assistantId) {
+                return res.status(400).json({
+                    error: 'Missing required fields: phoneNumber, assistantId'
+                });
+            }
+
+            // Validate phone number format (basic E.164 check)
+            const phoneRegex = /^\+[1-9]\d{1,14}$/;
+            if (!phoneRegex.test(phoneNumber)) {
+                return res.status(400).json({
+                    error: 'Invalid phone number format. Use E.164 format (e.g., +1234567890)'
+                });
+            }
+
+            const callConfig = {
+                assistantId,
+                customer: {
+                    number: phoneNumber,
+                    name: customerName
+                }
+            };
+
+            const call = await timeVapi('calls.create', () => vapi.calls.create(callConfig));
+            logger.info('Outbound call started', { callId: call.id, assistantId, by: req.principal.id });
+
+            res.json({
+                success: true,
+                call: {
+                    id: call.id,
+                    status: call.status,
+                    phoneNumber,
+                    customerName,
+                    createdAt: call.createdAt
+                }
+            });
+
+        } catch (error) {
+            logger.error('Error making call', { assistantId: req.body?.assistantId, error });
+            res.status(500).json({
+                error: 'Failed to initiate call',
+                details: error.message
+            });
+        }
+    });
+
+    // List all calls
+    router.get('/api/vapi/calls', auth.requireRole('viewer'), async (req, res) => {
+        try {
+            const calls = await timeVapi('calls.list', () => vapi.calls.list());
+            res.json({
+                success: true,
+                calls: calls.map(call => ({
+                    id: call.id,
+                    status: call.status,
+                    createdAt: call.createdAt,
+                    endedAt: call.endedAt,
+                    phoneNumber: call.customer?.number,
+                    customerName: call.customer?.name,
+                    duration: call.endedAt ?
+                        Math.round((new Date(call.endedAt) - new Date(call.createdAt)) / 1000) : null
+                }))
+            });
+        } catch (error) {
+            logger.error('Error fetching calls', { error });
+            res.status(500).json({
+                error: 'Failed to fetch calls',
+                details: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    });
+
+    // Get specific call details
+    router.get('/api/vapi/calls/:callId', auth.requireRole('viewer'), async (req, res) => {
+        try {
+            const { callId } = req.params;
+            const call = await timeVapi('calls.get', () => vapi.calls.get(callId));
+
+            res.json({
+                success: true,
+                call: {
+                    id: call.id,
+                    status: call.status,
+                    createdAt: call.createdAt,
+                    endedAt: call.endedAt,
+                    phoneNumber: call.customer?.number,
+                    customerName: call.customer?.name,
+                    duration: call.endedAt ?
+                        Math.round((new Date(call.endedAt) - new Date(call.createdAt)) / 1000) : null,
+                    transcript: call.transcript,
+                    summary: call.summary,
+                    cost: call.cost
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching call details', { callId: req.params.callId, error });
+            res.status(500).json({
+                error: 'Failed to fetch call details',
+                details: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    });
+
+    // VAPI webhook endpoint for call events
+    router.post('/api/vapi/webhook', verifyWebhookSecret, (req, res) => {
+        try {
+            const event = req.body;
+
+            countVapiEvent(event.type);
+            logger.info('VAPI webhook received', {
+                type: event.type,
+                callId: event.call?.id
+            });
+
+            // Handle different webhook events
+            switch (event.type) {
+                case 'call-start':
+                    handleCallStart(event);
+                    break;
+                case 'call-end':
+                    handleCallEnd(event);
+                    break;
+                case 'transcript':
+                    handleTranscript(event);
+                    break;
+                case 'function-call':
+                    handleFunctionCall(event);
+                    break;
+                default:
+                    logger.debug('Unhandled webhook event type', { type: event.type });
+            }
+
+            res.status(200).json({ received: true });
+
+        } catch (error) {
+            logger.error('Webhook error', { error });
+            res.status(500).json({ error: 'Webhook processing failed' });
+        }
+    });
+
+    // Webhook event handlers
+    function handleCallStart(event) {
+        logger.info('Call started', { callId: event.call.id });
+        // Add your custom logic here (e.g., logging, notifications)
+    }
+
+    function handleCallEnd(event) {
+        logger.info('Call ended', {
+            callId: event.call.id,
+            duration: event.call.duration,
+            cost: event.call.cost,
+            endReason: event.call.endReason
+        });
+        // Add your custom logic here (e.g., save to database, send notifications)
+    }
+
+    function handleTranscript(event) {
+        // The transcript is customer speech; log that it arrived, not what was said
+        logger.debug('Transcript received', { callId: event.call?.id, length: event.transcript.text?.length });
+        // Add your custom logic here (e.g., save transcript, analyze sentiment)
+    }
+
+    function handleFunctionCall(event) {
+        logger.info('Function called', { callId: event.call?.id, function: event.functionCall.name });
+        // Add your custom logic here (e.g., execute business logic, update CRM)
+    }
+
+    // Create default Retrospxt Holdings assistant
+    router.post('/api/vapi/setup-default-assistant', auth.requireRole('admin'), async (req, res) => {
+        try {
+            const defaultAssistant = {
+                name: 'Retrospxt Holdings AI Assistant',
+                voice: 'jennifer',
+                model: 'gpt-4',
+                systemPrompt: `You are a professional AI assistant for Retrospxt Holdings LLC, a company that specializes in AI-powered business solutions.
+
+    Your role is to:
+    1. Help potential clients understand our services: AI Voice Agents, Marketing Automation, and Business Training
+    2. Answer questions about AI implementation for small businesses
+    3. Schedule consultations and collect contact information
+    4. Provide helpful information about AI trends and best practices
+
+    Key services to highlight:
+    - AI Voice Agents: 24/7 customer service, lead qualification, appointment scheduling
+    - Marketing Automation: Email campaigns, social media management, customer journey optimization
+    - Training Programs: Hands-on AI workshops, team training, implementation support
+
+    Be friendly, professional, and knowledgeable. Keep responses concise but informative. Always offer to schedule a consultation for detailed discussions.`,
+                firstMessage: "Hello! I'm the AI assistant for Retrospxt Holdings. We help small businesses implement AI solutions to grow their customer base and streamline operations. How can I help you learn about our AI voice agents, marketing automation, or training programs today?"
+            };
+
+            const assistant = await timeVapi('assistants.create', () => vapi.assistants.create({
+                name: defaultAssistant.name,
+                voice: {
+                    provider: 'playht',
+                    voiceId: defaultAssistant.voice
+                },
+                model: {
+                    provider: 'openai',
+                    model: defaultAssistant.model,
+                    systemMessage: defaultAssistant.systemPrompt,
+                    temperature: 0.7
+                },
+                firstMessage: defaultAssistant.firstMessage,
+                endCallMessage: "Thank you for your interest in Retrospxt Holdings! We look forward to helping you implement AI solutions for your business. Have a great day!",
+                recordingEnabled: true,
+                endCallPhrases: ["goodbye", "bye", "end call", "hang up", "thank you"],
+                maxDurationSeconds: 900, // 15 minutes
+                silenceTimeoutSeconds: 30
+            }));
+
+            res.json({
+                success: true,
+                message: 'Default Retrospxt Holdings assistant created successfully',
+                assistant: {
+                    id: assistant.id,
+                    name: assistant.name,
+                    publicKey: config.VAPI_PUBLIC_KEY // Include for frontend use
+                }
+            });
+
+        } catch (error) {
+            logger.error('Error creating default assistant', { error });
+            res.status(500).json({
+                error: 'Failed to create default assistant',
+                details: error.message
+            });
+        }
+    });
+
+    // Errors from these routes keep the Vapi API's `{ error, details }` shape
+    router.use('/api/vapi', (error, req, res, next) => {
+        logger.error('Unhandled error', { method: req.method, path: req.originalUrl.split('?')[0], error });
+        if (res.headersSent) return next(error);
+
+        res.status(500).json({
+            error: 'Internal server error',
+            details: config.NODE_ENV === 'development' ? error.message : undefined,
+            requestId: req.id
+        });
+    });
+
+    return {
+        name: 'vapi',
+        router,
+
+        start() {
+            if (!WEBHOOK_SECRET) {
+                logger.warn('VAPI_WEBHOOK_SECRET is not set - webhook requests are not verified');
+            }
+        }
+    };
+}
@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import { hasRole } from './accounts.js';
+import { logger } from './logger.js';
+
+/**
+ * Authentication for internal APIs
+ * A request may identify itself with:
+ * - `Authorization: Bearer rpx_...` — an API key
+ * - `Authorization: Bearer <ADMIN_API_TOKEN>` — the legacy shared token, treated as an admin
+ * - the `rpx_session` cookie set by POST /api/auth/login
+ * `authenticate` records who is calling on `req.principal`; the `require*`
+ * guards decide whether that is enough.
+ */
+
+export const SESSION_COOKIE = 'rpx_session';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const parseCookies = (header = '') => Object.fromEntries(
+    header.split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const index = part.indexOf('=');
+            if (index === -1) return [part, ''];
+            try {
+                return [part.slice(0, index), decodeURIComponent(part.slice(index + 1))];
+            } catch {
+                return [part.slice(0, index), ''];
+            }
+        })
+);
+
+const bearerToken = (req) => {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+};
+
+// Cookies are sent cross-site on some older browsers; only trust them for
+// writes when the request comes from our own pages
+const sameOrigin = (req) => {
+    const origin = req.get('origin');
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === req.get('host');
+    } catch {
+        return false;
+    }
+};
+
+export function createAuth({
+    accounts,
+    legacyToken = process.env.ADMIN_API_TOKEN,
+    secureCookies = process.env.NODE_ENV === 'production'
+}) {
+    const isConfigured = () => Boolean(legacyToken) || accounts.isConfigured();
+
+    const sessionToken = (req) => parseCookies(req.get('cookie'))[SESSION_COOKIE] || '';
+
+    const resolvePrincipal = async (req) => {
+        const bearer = bearerToken(req);
+
+        if (bearer) {
+            if (legacyToken && safeEqual(bearer, legacyToken)) {
+                return { type: 'token', id: 'legacy', name: 'ADMIN_API_TOKEN', role: 'admin' };
+            }
+
+            const key = await accounts.verifyApiKey(bearer);
+            return key ? { type: 'apiKey', id: key.id, name: key.name, role: key.role } : null;
+        }
+
+        const user = accounts.userForSession(sessionToken(req));
+        return user ? { type: 'session', id: user.id, name: user.name || user.email, email: user.email, role: user.role } : null;
+    };
+
+    const requireRole = (role) => (req, res, next) => {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                message: 'Authentication is not configured. Set ADMIN_EMAIL and ADMIN_PASSWORD (or ADMIN_API_TOKEN) to enable it.'
+            });
+        }
+
+        if (!req.principal) {
+            return res.status(401).json({
+                success: false,
+                message: 'Unauthorized.'
+            });
+        }
+
+        if (req.principal.type === 'session' && !SAFE_METHODS.has(req.method) && !sameOrigin(req)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Cross-origin request refused.'
+            });
+        }
+
+        if (!hasRole(req.principal.role, role)) {
+            return res.status(403).json({
+                success: false,
+                message: `This action requires the ${role} role.`
+            });
+        }
+
+        next();
+    };
+
+    return {
+        isConfigured,
+        sessionToken,
+
+        /**
+         * Identify the caller, if any; never rejects on its own
+         */
+        async authenticate(req, res, next) {
+            try {
+                req.principal = await resolvePrincipal(req);
+            } catch (error) {
+                logger.error('Failed to authenticate request', { component: 'auth', error });
+                req.principal = null;
+            }
+            next();
+        },
+
+        requireRole,
+
+        /**
+         * Reads need `read`, anything else needs `write`
+         */
+        requireAccess({ read = 'viewer', write = 'operator' } = {}) {
+            const readGuard = requireRole(read);
+            const writeGuard = requireRole(write);
+            return (req, res, next) => (SAFE_METHODS.has(req.method) ? readGuard : writeGuard)(req, res, next);
+        },
+
+        setSessionCookie(res, token, expiresAt) {
+            res.cookie(SESSION_COOKIE, token, {
+                httpOnly: true,
+                sameSite: 'strict',
+                secure: secureCookies,
+                path: '/',
+                expires: new Date(expiresAt)
+            });
+        },
+
+        clearSessionCookie(res) {
+            res.clearCookie(SESSION_COOKIE, {
+                httpOnly: true,
+                sameSite: 'strict',
+                secure: secureCookies,
+                path: '/'
+            });
+        }
+    };
+}
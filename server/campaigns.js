@@ -0,0 +1,326 @@
+import { queryRecords } from './leads.js';
+import { markdownToHtml } from './markdown.js';
+import { logger } from './logger.js';
+import { mailFailureOutcome, mailSends } from './metrics.js';
+
+const log = logger.child({ component: 'campaigns' });
+
+/**
+ * Newsletter campaigns
+ * Issues of The Priceless & The Pointless are written in Markdown and sent to
+ * confirmed subscribers (all of them, or a segment's audience) in throttled
+ * batches. Each recipient gets a delivery record (pending, sent, failed or
+ * skipped), so a paused or interrupted send picks up where it left off.
+ */
+
+export class CampaignStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CampaignStateError';
+        this.code = 'ECAMPAIGNSTATE';
+    }
+}
+
+const firstName = (name) => name ? String(name).trim().split(/\s+/)[0] : '';
+
+export function createCampaignService({
+    store,
+    leads,
+    segments,
+    templates,
+    sendMail,
+    unsubscribeUrl,
+    batchSize = 20,
+    batchIntervalMs = 10 * 1000
+}) {
+    const campaigns = store.collection('campaigns');
+    const deliveries = store.collection('campaign-deliveries');
+    const running = new Map();
+    const starting = new Map();
+    const wakers = new Set();
+    let stopping = false;
+
+    // The pause between batches; stop() cuts it short
+    const wait = (ms) => new Promise(resolve => {
+        const wake = () => {
+            clearTimeout(timer);
+            wakers.delete(wake);
+            resolve();
+        };
+        const timer = setTimeout(wake, ms);
+        timer.unref();
+        wakers.add(wake);
+    });
+
+    const deliveriesFor = (campaignId) => deliveries.find(delivery => delivery.campaignId === campaignId);
+
+    const render = (campaign, recipient) => templates.render('newsletter-issue', {
+        subject: campaign.subject,
+        content: markdownToHtml(campaign.markdown),
+        firstName: firstName(recipient.name),
+        unsubscribeUrl: unsubscribeUrl(recipient.email)
+    });
+
+    const audienceOf = (campaign) => {
+        if (!campaign.segmentId) {
+            return leads.subscribers.find(subscriber => subscriber.status === 'confirmed');
+        }
+
+        const segment = segments.get(campaign.segmentId);
+        if (!segment) {
+            throw new CampaignStateError('This campaign\'s segment no longer exists.');
+        }
+        return segments.audience(segment);
+    };
+
+    const requireDraft = (campaign, action) => {
+        if (campaign.status !== 'draft') {
+            throw new CampaignStateError(`Only draft campaigns can be ${action}; this one is ${campaign.status}.`);
+        }
+    };
+
+    const deliver = async (campaign, delivery) => {
+        // Subscribers who left after the send started are skipped, not mailed
+        const subscriber = leads.getSubscriber(delivery.subscriberId);
+        if (!subscriber || subscriber.status !== 'confirmed') {
+            return deliveries.update(delivery.id, { status: 'skipped', error: 'No longer subscribed' });
+        }
+
+        try {
+            await sendMail({ to: subscriber.email, ...render(campaign, subscriber), listUnsubscribe: true });
+            mailSends.inc({ label: 'Campaign', outcome: 'success' });
+            await deliveries.update(delivery.id, { status: 'sent', sentAt: new Date().toISOString(), error: null });
+        } catch (error) {
+            mailSends.inc({ label: 'Campaign', outcome: mailFailureOutcome(error) });
+            await deliveries.update(delivery.id, {
+                status: error.code === 'ESUPPRESSED' ? 'skipped' : 'failed',
+                error: error.message
+            });
+        }
+    };
+
+    /**
+     * Work through pending deliveries a batch at a time until none remain
+     * or the campaign is paused
+     */
+    const run = (id) => {
+        if (running.has(id)) return running.get(id);
+
+        const task = (async () => {
+            for (;;) {
+                const campaign = campaigns.get(id);
+                if (stopping || !campaign || campaign.status !== 'sending') return;
+
+                const pending = deliveriesFor(id).filter(delivery => delivery.status === 'pending');
+                if (!pending.length) {
+                    await campaigns.update(id, { status: 'sent', completedAt: new Date().toISOString() });
+                    log.info('Campaign finished sending', { campaignId: campaign.id });
+                    return;
+                }
+
+                for (const delivery of pending.slice(0, batchSize)) {
+                    await deliver(campaign, delivery);
+                }
+
+                if (pending.length > batchSize) {
+                    await wait(batchIntervalMs);
+                }
+            }
+        })().catch(error => {
+            log.error('Campaign stopped sending', { campaignId: id, error });
+        }).finally(() => {
+            running.delete(id);
+        });
+
+        running.set(id, task);
+        return task;
+    };
+
+    // Snapshot the audience on the first send, then mark the campaign sending
+    const startSending = async (id) => {
+        const campaign = campaigns.get(id);
+        if (!campaign) return null;
+
+        if (campaign.status === 'sent') {
+            throw new CampaignStateError('This campaign has already been sent.');
+        }
+
+        if (campaign.status === 'draft') {
+            const recipients = audienceOf(campaign);
+            if (!recipients.length) {
+                throw new CampaignStateError('There are no confirmed subscribers in this campaign\'s audience.');
+            }
+
+            for (const subscriber of recipients) {
+                await deliveries.insert({
+                    campaignId: id,
+                    subscriberId: subscriber.id,
+                    email: subscriber.email,
+                    status: 'pending',
+                    sentAt: null,
+                    error: null
+                });
+            }
+        }
+
+        const sending = await campaigns.update(id, {
+            status: 'sending',
+            sendStartedAt: campaign.sendStartedAt || new Date().toISOString()
+        });
+
+        run(id);
+        return sending;
+    };
+
+    return {
+        campaigns,
+        deliveries,
+
+        list(query) {
+            return queryRecords(campaigns.all(), query, {
+                exactFields: ['status'],
+                searchFields: ['title', 'subject']
+            });
+        },
+
+        get(id) {
+            return campaigns.get(id);
+        },
+
+        async create({ title, subject, markdown, segmentId = null }) {
+            return campaigns.insert({
+                title,
+                subject,
+                markdown,
+                segmentId,
+                status: 'draft',
+                sendStartedAt: null,
+                completedAt: null
+            });
+        },
+
+        async update(id, { title, subject, markdown, segmentId }) {
+            const campaign = campaigns.get(id);
+            if (!campaign) return null;
+            requireDraft(campaign, 'edited');
+
+            const changes = Object.fromEntries(
+                Object.entries({ title, subject, markdown, segmentId }).filter(([, value]) => value !== undefined)
+            );
+            return campaigns.update(id, changes);
+        },
+
+        async remove(id) {
+            const campaign = campaigns.get(id);
+            if (!campaign) return false;
+            requireDraft(campaign, 'deleted');
+
+            return campaigns.remove(id);
+        },
+
+        /**
+         * Render the issue as a given recipient would see it
+         */
+        preview(id, recipient = { email: 'subscriber@example.com', name: '' }) {
+            const campaign = campaigns.get(id);
+            return campaign ? render(campaign, recipient) : null;
+        },
+
+        /**
+         * Send one copy to a single address, e.g. to check it in a real inbox
+         */
+        async sendTest(id, email) {
+            const campaign = campaigns.get(id);
+            if (!campaign) return null;
+
+            const content = render(campaign, { email, name: '' });
+            return sendMail({ to: email, ...content, subject: `[Test] ${content.subject}`, listUnsubscribe: true });
+        },
+
+        /**
+         * Delivery counts by status
+         */
+        progress(id) {
+            const counts = { total: 0, pending: 0, sent: 0, failed: 0, skipped: 0 };
+            for (const delivery of deliveriesFor(id)) {
+                counts.total += 1;
+                counts[delivery.status] += 1;
+            }
+            return counts;
+        },
+
+        listDeliveries(id, query) {
+            return queryRecords(deliveriesFor(id), query, {
+                exactFields: ['status', 'email'],
+                searchFields: ['email', 'error']
+            });
+        },
+
+        /**
+         * Start (or resume) sending. The first send snapshots the audience
+         * into delivery records; resuming only works through the ones still
+         * pending. A send that overlaps one still starting joins it rather
+         * than snapshotting the audience twice.
+         */
+        send(id) {
+            if (starting.has(id)) return starting.get(id);
+
+            const task = startSending(id).finally(() => starting.delete(id));
+            starting.set(id, task);
+            return task;
+        },
+
+        async pause(id) {
+            const campaign = campaigns.get(id);
+            if (!campaign) return null;
+
+            if (campaign.status !== 'sending') {
+                throw new CampaignStateError(`Only sending campaigns can be paused; this one is ${campaign.status}.`);
+            }
+
+            return campaigns.update(id, { status: 'paused' });
+        },
+
+        /**
+         * Queue failed deliveries again and resume sending
+         */
+        async retryFailed(id) {
+            const campaign = campaigns.get(id);
+            if (!campaign) return null;
+            if (campaign.status === 'draft') {
+                throw new CampaignStateError('This campaign hasn\'t been sent yet.');
+            }
+
+            const failed = deliveriesFor(id).filter(delivery => delivery.status === 'failed');
+            for (const delivery of failed) {
+                await deliveries.update(delivery.id, { status: 'pending', error: null });
+            }
+
+            const sending = await campaigns.update(id, { status: 'sending', completedAt: null });
+            run(id);
+            return sending;
+        },
+
+        /**
+         * Stop sending after the current batch. Campaigns stay `sending`, so
+         * resumeInterrupted picks them up on the next start.
+         */
+        stop() {
+            stopping = true;
+            [...wakers].forEach(wake => wake());
+            return Promise.all(running.values());
+        },
+
+        /**
+         * Resume campaigns that were mid-send when the server stopped
+         */
+        resumeInterrupted() {
+            const interrupted = campaigns.find(campaign => campaign.status === 'sending');
+            for (const campaign of interrupted) {
+                log.info('Resuming campaign', { campaignId: campaign.id });
+                run(campaign.id);
+            }
+            return interrupted.length;
+        }
+    };
+}
@@ -0,0 +1,381 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LEVELS, configureLogger, logger } from './logger.js';
+
+/**
+ * Configuration
+ * Every environment variable the servers and scripts read is declared here
+ * with its type and default. `loadConfig` parses them into a typed object
+ * keyed by variable name; `requireConfig` does the same at startup and exits
+ * with a readable list of problems. `diagnoseFeatures` powers `npm run doctor`.
+ */
+
+const ROOT_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Values copied from .env.example without being filled in, including bare
+// key prefixes like `sk-`
+const PLACEHOLDER_PATTERN = /^your[_-]|_here$|^YOU_|^(?:sk-|ak_)$/i;
+
+/**
+ * Types: string, integer, boolean, port, url, email, enum (with `values`),
+ * and list: comma-separated values of the type named by `of`.
+ * `secret` values are never printed; `min` applies to integers and `minLength`
+ * to strings.
+ */
+export const CONFIG_SCHEMA = {
+    // Server
+    PORT: { type: 'port', default: 3000, group: 'Server', description: 'Website and API port' },
+    NODE_ENV: { type: 'enum', values: ['development', 'production', 'test'], group: 'Server', description: 'Runtime environment' },
+    PUBLIC_URL: { type: 'url', group: 'Server', description: 'Public base URL used in emailed links (default: http://localhost:$PORT)' },
+    DATA_DIR: { type: 'string', default: path.join(ROOT_DIR, 'data'), group: 'Server', description: 'Directory for the JSON Lines data store' },
+    TRUST_PROXY: { type: 'string', group: 'Server', description: 'Express `trust proxy` setting behind a reverse proxy' },
+    SERVER_APPS: { type: 'list', of: 'enum', values: ['site', 'vapi'], group: 'Server', description: 'Apps server.js hosts (default: site, plus vapi when VAPI_PRIVATE_KEY holds a real key)' },
+    CORS_ORIGINS: { type: 'list', of: 'url', default: [], group: 'Server', description: 'Other origins allowed to call the API from a browser (default: same origin only)' },
+    SHUTDOWN_TIMEOUT_SECONDS: { type: 'integer', default: 10, min: 1, group: 'Server', description: 'How long shutdown waits for requests and queued work' },
+    LOG_LEVEL: { type: 'enum', values: LEVELS, default: 'info', group: 'Server', description: 'Lowest log level written' },
+    LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'], group: 'Server', description: 'Log output (default: json in production, pretty otherwise)' },
+
+    // Email
+    MAIL_TRANSPORT: { type: 'enum', values: ['gmail', 'smtp', 'outbox', 'json', 'ethereal'], group: 'Email', description: 'How mail is sent (default: gmail or smtp when configured, otherwise outbox)' },
+    MAIL_OUTBOX_DIR: { type: 'string', group: 'Email', description: 'Where the outbox transport writes messages (default: DATA_DIR/outbox)' },
+    GMAIL_USER: { type: 'email', group: 'Email', description: 'Gmail address to send from' },
+    GMAIL_APP_PASSWORD: { type: 'string', secret: true, group: 'Email', description: 'Gmail app password' },
+    SMTP_HOST: { type: 'string', group: 'Email', description: 'SMTP server hostname' },
+    SMTP_PORT: { type: 'port', default: 587, group: 'Email', description: 'SMTP server port' },
+    SMTP_SECURE: { type: 'boolean', default: false, group: 'Email', description: 'Connect to SMTP over TLS' },
+    SMTP_USER: { type: 'string', group: 'Email', description: 'SMTP username' },
+    SMTP_PASSWORD: { type: 'string', secret: true, group: 'Email', description: 'SMTP password' },
+    NOTIFICATION_EMAIL: { type: 'email', default: 'don@dhobdyjr.com', group: 'Email', description: 'Where form submissions are sent' },
+    MAIL_MAX_ATTEMPTS: { type: 'integer', default: 6, min: 1, group: 'Email', description: 'Send attempts before a message moves to dead letters' },
+    MAIL_RETRY_BASE_SECONDS: { type: 'integer', default: 30, min: 1, group: 'Email', description: 'First mail retry delay' },
+
+    // Newsletter and campaigns
+    TOKEN_SECRET: { type: 'string', secret: true, minLength: 32, group: 'Newsletter', description: 'Secret for signing emailed links' },
+    NEWSLETTER_CONFIRM_TTL_HOURS: { type: 'integer', default: 48, min: 1, group: 'Newsletter', description: 'Hours before an unconfirmed subscription expires' },
+    WELCOME_EMAILS_ENABLED: { type: 'boolean', default: true, group: 'Newsletter', description: 'Send welcome emails' },
+    WELCOME_CONFIG: { type: 'string', default: path.join(ROOT_DIR, 'server', 'welcome-config.json'), group: 'Newsletter', description: 'Welcome email content' },
+    CAMPAIGN_BATCH_SIZE: { type: 'integer', default: 20, min: 1, group: 'Newsletter', description: 'Campaign emails per batch' },
+    CAMPAIGN_BATCH_INTERVAL_SECONDS: { type: 'integer', default: 10, min: 0, group: 'Newsletter', description: 'Pause between campaign batches' },
+
+    // Spam protection
+    RATE_LIMIT_IP_MAX: { type: 'integer', default: 10, min: 1, group: 'Spam protection', description: 'Form submissions per IP per window' },
+    RATE_LIMIT_IP_WINDOW_MINUTES: { type: 'integer', default: 15, min: 1, group: 'Spam protection', description: 'IP rate limit window' },
+    RATE_LIMIT_EMAIL_MAX: { type: 'integer', default: 3, min: 1, group: 'Spam protection', description: 'Form submissions per email address per window' },
+    RATE_LIMIT_EMAIL_WINDOW_MINUTES: { type: 'integer', default: 60, min: 1, group: 'Spam protection', description: 'Email rate limit window' },
+    FORM_MIN_FILL_MS: { type: 'integer', default: 3000, min: 0, group: 'Spam protection', description: 'Minimum time a form must be open' },
+
+    // Webhooks
+    WEBHOOK_MAX_ATTEMPTS: { type: 'integer', default: 6, min: 1, group: 'Webhooks', description: 'Delivery attempts per webhook delivery' },
+    WEBHOOK_RETRY_BASE_SECONDS: { type: 'integer', default: 30, min: 1, group: 'Webhooks', description: 'First webhook retry delay' },
+
+    // Accounts
+    ADMIN_EMAIL: { type: 'email', group: 'Accounts', description: 'First admin account' },
+    ADMIN_PASSWORD: { type: 'string', secret: true, minLength: 12, group: 'Accounts', description: 'First admin account password' },
+    SESSION_TTL_HOURS: { type: 'integer', default: 12, min: 1, group: 'Accounts', description: 'How long a dashboard sign-in lasts' },
+    ADMIN_API_TOKEN: { type: 'string', secret: true, minLength: 16, group: 'Accounts', description: 'Legacy shared admin bearer token' },
+
+    // Voice assistant
+    VAPI_PRIVATE_KEY: { type: 'string', secret: true, group: 'Voice assistant', description: 'VAPI private API key' },
+    VAPI_PUBLIC_KEY: { type: 'string', group: 'Voice assistant', description: 'VAPI public key for the browser widget' },
+    VAPI_PORT: { type: 'port', default: 3001, group: 'Voice assistant', description: 'Port for vapi-server.js when it runs on its own' },
+    VAPI_WEBHOOK_SECRET: { type: 'string', secret: true, group: 'Voice assistant', description: 'Secret VAPI sends as X-Vapi-Secret' },
+
+    // Integrations
+    OPENAI_API_KEY: { type: 'string', secret: true, group: 'Integrations', description: 'OpenAI API key' },
+    COMPOSIO_API_KEY: { type: 'string', secret: true, group: 'Integrations', description: 'Composio API key' }
+};
+
+const parsers = {
+    string: (raw) => raw,
+    integer: (raw, spec) => {
+        if (!/^-?\d+$/.test(raw)) throw new TypeError('must be a whole number');
+        const value = Number(raw);
+        if (spec.min !== undefined && value < spec.min) throw new RangeError(`must be at least ${spec.min}`);
+        return value;
+    },
+    boolean: (raw) => {
+        if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true;
+        if (['false', '0', 'no'].includes(raw.toLowerCase())) return false;
+        throw new TypeError('must be true or false');
+    },
+    port: (raw) => {
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value < 1 || value > 65535) throw new RangeError('must be a port number (1-65535)');
+        return value;
+    },
+    url: (raw) => {
+        let url;
+        try {
+            url = new URL(raw);
+        } catch {
+            throw new TypeError('must be a full URL, e.g. https://example.com');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) throw new TypeError('must be an http(s) URL');
+        return raw.replace(/\/$/, '');
+    },
+    email: (raw) => {
+        if (!EMAIL_PATTERN.test(raw)) throw new TypeError('must be an email address');
+        return raw;
+    },
+    enum: (raw, spec) => {
+        if (!spec.values.includes(raw)) throw new TypeError(`must be one of: ${spec.values.join(', ')}`);
+        return raw;
+    },
+    list: (raw, spec) => [...new Set(
+        raw.split(',').map(item => item.trim()).filter(Boolean).map(item => parsers[spec.of](item, spec))
+    )]
+};
+
+/**
+ * Parse the environment against the schema
+ * Empty values and placeholders left over from .env.example count as unset
+ * (placeholders with a warning). Returns { config, errors, warnings }, where
+ * errors and warnings map variable names to messages. Invalid values fall
+ * back to their defaults in `config`.
+ */
+export function loadConfig(env = process.env) {
+    const config = {};
+    const errors = {};
+    const warnings = {};
+
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        const raw = env[key] === undefined ? '' : String(env[key]).trim();
+
+        if (raw === '' || PLACEHOLDER_PATTERN.test(raw)) {
+            if (raw !== '') {
+                warnings[key] = `${key} still has the placeholder value from .env.example, so it is ignored`;
+            }
+            config[key] = spec.default === undefined ? null : spec.default;
+            continue;
+        }
+
+        try {
+            config[key] = parsers[spec.type](raw, spec);
+        } catch (error) {
+            errors[key] = `${key} ${error.message} (got "${spec.secret ? '…' : raw}")`;
+            config[key] = spec.default === undefined ? null : spec.default;
+            continue;
+        }
+
+        if (spec.minLength && raw.length < spec.minLength) {
+            warnings[key] = `${key} is shorter than ${spec.minLength} characters`;
+        }
+    }
+
+    if (!config.LOG_FORMAT) {
+        config.LOG_FORMAT = config.NODE_ENV === 'production' ? 'json' : 'pretty';
+    }
+    if (!config.PUBLIC_URL) {
+        config.PUBLIC_URL = `http://localhost:${config.PORT}`;
+    }
+    config.DATA_DIR = path.resolve(config.DATA_DIR);
+    config.MAIL_OUTBOX_DIR = path.resolve(config.MAIL_OUTBOX_DIR || path.join(config.DATA_DIR, 'outbox'));
+
+    return { config, errors, warnings };
+}
+
+/**
+ * Load the config for one entry point and set up the shared logger for it,
+ * exiting on invalid values or missing `required` variables. `required` may
+ * be a function of the parsed config, for requirements that depend on other
+ * settings. Warnings are logged but don't stop startup.
+ */
+export function requireConfig({ service, required = [], env = process.env } = {}) {
+    const { config, errors, warnings } = loadConfig(env);
+
+    for (const key of typeof required === 'function' ? required(config) : required) {
+        if (errors[key]) continue;
+        if (isPlaceholder(env, key)) {
+            errors[key] = `${key} is required by ${service} but still has the placeholder value from .env.example`;
+            delete warnings[key];
+        } else if (config[key] === null) {
+            errors[key] = `${key} is required by ${service}`;
+        }
+    }
+
+    configureLogger({ service, level: config.LOG_LEVEL, format: config.LOG_FORMAT });
+    const log = logger.child({ component: 'config' });
+
+    for (const [key, message] of Object.entries(warnings)) {
+        log.warn(message, { variable: key });
+    }
+
+    if (Object.keys(errors).length > 0) {
+        log.error(`${service} can't start until its configuration is fixed. Run \`npm run doctor\` for a full report.`, {
+            problems: Object.values(errors)
+        });
+        process.exit(1);
+    }
+
+    return config;
+}
+
+/**
+ * The mail transport in use: MAIL_TRANSPORT, or Gmail or SMTP when their
+ * credentials are set, or else the local outbox
+ */
+export function resolveMailTransport(config) {
+    if (config.MAIL_TRANSPORT) return config.MAIL_TRANSPORT;
+    if (config.GMAIL_USER && config.GMAIL_APP_PASSWORD) return 'gmail';
+    if (config.SMTP_HOST) return 'smtp';
+    return 'outbox';
+}
+
+export const isPlaceholder = (env, key) => PLACEHOLDER_PATTERN.test(String(env[key] || '').trim());
+const isSet = (env, key) => String(env[key] || '').trim() !== '' && !isPlaceholder(env, key);
+
+const enabled = (reason) => ({ status: 'enabled', reason });
+const misconfigured = (reason) => ({ status: 'misconfigured', reason });
+const missing = (reason) => ({ status: 'missing', reason });
+
+/**
+ * Feature checks for `npm run doctor`
+ * Each returns { status: 'enabled' | 'misconfigured' | 'missing', reason }.
+ */
+const FEATURES = [
+    {
+        name: 'Email delivery',
+        check: (config, env) => {
+            if (isSet(env, 'GMAIL_USER') !== isSet(env, 'GMAIL_APP_PASSWORD')) {
+                return misconfigured('GMAIL_USER and GMAIL_APP_PASSWORD must be set together');
+            }
+            if (isSet(env, 'SMTP_HOST') && isSet(env, 'SMTP_USER') !== isSet(env, 'SMTP_PASSWORD')) {
+                return misconfigured('SMTP_USER and SMTP_PASSWORD must be set together');
+            }
+
+            switch (resolveMailTransport(config)) {
+                case 'gmail':
+                    if (!isSet(env, 'GMAIL_USER')) {
+                        return misconfigured('MAIL_TRANSPORT=gmail needs GMAIL_USER and GMAIL_APP_PASSWORD');
+                    }
+                    return enabled(`Gmail as ${config.GMAIL_USER}`);
+                case 'smtp':
+                    if (!isSet(env, 'SMTP_HOST')) {
+                        return misconfigured('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+                    }
+                    return enabled(`SMTP via ${config.SMTP_HOST}:${config.SMTP_PORT}${config.SMTP_SECURE ? ' (TLS)' : ''}`);
+                case 'json':
+                    return enabled('Messages are built and returned as JSON; nothing is sent or kept');
+                case 'ethereal':
+                    return enabled('A throwaway Ethereal test account (needs the network); nothing reaches real inboxes');
+                default:
+                    if (config.MAIL_TRANSPORT) {
+                        return enabled(`Messages are written to ${config.MAIL_OUTBOX_DIR} and shown at /dev/outbox; nothing is sent`);
+                    }
+                    return missing(`No GMAIL_USER/GMAIL_APP_PASSWORD or SMTP_HOST; messages are written to ${config.MAIL_OUTBOX_DIR} and shown at /dev/outbox instead of being sent`);
+            }
+        }
+    },
+    {
+        name: 'Emailed links',
+        check: (config, env) => {
+            if (config.NODE_ENV === 'production' && !isSet(env, 'PUBLIC_URL')) {
+                return misconfigured('PUBLIC_URL is not set, so confirmation and unsubscribe links point to localhost');
+            }
+            if (!isSet(env, 'TOKEN_SECRET')) {
+                return enabled(`Links point to ${config.PUBLIC_URL}; signing secret is generated into DATA_DIR/.token-secret`);
+            }
+            return enabled(`Links point to ${config.PUBLIC_URL}, signed with TOKEN_SECRET`);
+        }
+    },
+    {
+        name: 'Welcome emails',
+        check: (config) => {
+            if (!config.WELCOME_EMAILS_ENABLED) {
+                return missing('Turned off with WELCOME_EMAILS_ENABLED=false');
+            }
+            try {
+                JSON.parse(fs.readFileSync(config.WELCOME_CONFIG, 'utf8'));
+            } catch (error) {
+                return misconfigured(`Can't read welcome content from ${config.WELCOME_CONFIG}: ${error.message}`);
+            }
+            return enabled(`Content from ${path.relative(ROOT_DIR, config.WELCOME_CONFIG) || config.WELCOME_CONFIG}`);
+        }
+    },
+    {
+        name: 'Data store',
+        check: (config) => {
+            // The servers create the directory on startup, so check the nearest one that exists
+            let dir = config.DATA_DIR;
+            while (!fs.existsSync(dir) && path.dirname(dir) !== dir) {
+                dir = path.dirname(dir);
+            }
+            try {
+                fs.accessSync(dir, fs.constants.W_OK);
+            } catch (error) {
+                return misconfigured(`DATA_DIR ${config.DATA_DIR} is not writable: ${error.message}`);
+            }
+            return enabled(dir === config.DATA_DIR ? config.DATA_DIR : `${config.DATA_DIR} (created on first start)`);
+        }
+    },
+    {
+        name: 'Admin sign-in',
+        check: (config, env) => {
+            if (isSet(env, 'ADMIN_EMAIL') !== isSet(env, 'ADMIN_PASSWORD')) {
+                return misconfigured('ADMIN_EMAIL and ADMIN_PASSWORD must be set together');
+            }
+            const hasUsers = fs.existsSync(path.join(config.DATA_DIR, 'users.jsonl'));
+            if (isSet(env, 'ADMIN_EMAIL')) {
+                return enabled(`Bootstrap admin ${config.ADMIN_EMAIL}`);
+            }
+            if (hasUsers) {
+                return enabled('Accounts exist in DATA_DIR');
+            }
+            if (isSet(env, 'ADMIN_API_TOKEN')) {
+                return enabled('Legacy ADMIN_API_TOKEN only; create accounts or API keys to replace it');
+            }
+            return missing('No ADMIN_EMAIL/ADMIN_PASSWORD, accounts or ADMIN_API_TOKEN; the admin API answers 503');
+        }
+    },
+    {
+        name: 'Voice assistant',
+        check: (config, env) => {
+            if (isPlaceholder(env, 'VAPI_PRIVATE_KEY')) {
+                return misconfigured('VAPI_PRIVATE_KEY still has the placeholder value from .env.example');
+            }
+            if (!isSet(env, 'VAPI_PRIVATE_KEY')) {
+                return missing('VAPI_PRIVATE_KEY is not set; the Vapi routes and the MCP server won\'t start');
+            }
+            if (!isSet(env, 'VAPI_WEBHOOK_SECRET')) {
+                return misconfigured('VAPI_WEBHOOK_SECRET is not set, so webhook calls are not verified');
+            }
+            const hosted = !config.SERVER_APPS || config.SERVER_APPS.includes('vapi');
+            return enabled(`${hosted ? `Served by server.js on port ${config.PORT}` : `Run vapi-server.js (port ${config.VAPI_PORT})`}, webhooks verified`);
+        }
+    },
+    {
+        name: 'Voice widget',
+        check: (config, env) => {
+            if (isPlaceholder(env, 'VAPI_PUBLIC_KEY')) {
+                return misconfigured('VAPI_PUBLIC_KEY still has the placeholder value from .env.example');
+            }
+            return isSet(env, 'VAPI_PUBLIC_KEY')
+                ? enabled('VAPI_PUBLIC_KEY is set')
+                : missing('VAPI_PUBLIC_KEY is not set; the default assistant is created without a public key');
+        }
+    },
+    {
+        name: 'Composio integration',
+        check: (config, env) => {
+            const placeholders = ['OPENAI_API_KEY', 'COMPOSIO_API_KEY'].filter(key => isPlaceholder(env, key));
+            if (placeholders.length > 0) {
+                return misconfigured(`${placeholders.join(' and ')} still ${placeholders.length > 1 ? 'have' : 'has'} the placeholder value from .env.example`);
+            }
+            const unset = ['OPENAI_API_KEY', 'COMPOSIO_API_KEY'].filter(key => !isSet(env, key));
+            return unset.length === 0
+                ? enabled('OPENAI_API_KEY and COMPOSIO_API_KEY are set')
+                : missing(`${unset.join(' and ')} not set; npm run composio won't start`);
+        }
+    }
+];
+
+/**
+ * Run every feature check against the environment
+ */
+export function diagnoseFeatures(env = process.env) {
+    const { config } = loadConfig(env);
+    return FEATURES.map(feature => ({ name: feature.name, ...feature.check(config, env) }));
+}
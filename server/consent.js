@@ -0,0 +1,117 @@
+import { FORM_SCHEMAS } from './validation.js';
+import { normalizeEmail, queryRecords } from './leads.js';
+
+/**
+ * Consent records
+ * An append-only history of what each contact agreed to and when. Every
+ * form submission records the notice version and wording it showed, the
+ * state of its consent checkboxes, the page it was sent from and what it
+ * consented to (`purposes`). Confirmations and withdrawals (unsubscribes)
+ * are new events, so earlier proof is never overwritten.
+ *
+ * Event types:
+ * - `given` — a form submission
+ * - `confirmed` — a newsletter double opt-in link was followed
+ * - `withdrawn` — an unsubscribe, or a withdrawal recorded by the team
+ */
+
+export const CONSENT_EVENT_TYPES = ['given', 'confirmed', 'withdrawn'];
+
+// Everything an unsubscribe stops
+export const MAILING_PURPOSES = ['newsletter', 'community'];
+
+const MAX_URL_LENGTH = 2000;
+const MAX_VERSION_LENGTH = 50;
+
+const QUERY_OPTIONS = {
+    exactFields: ['email', 'type', 'form', 'source'],
+    searchFields: ['email', 'pageUrl']
+};
+
+const isChecked = (value) => value === true || value === 'true' || value === 'on';
+
+// Only http(s) URLs, as the browser reported them
+const cleanUrl = (value) => {
+    if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) return null;
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+        return null;
+    }
+};
+
+export function createConsentLog(store) {
+    const consents = store.collection('consents');
+
+    const record = (email, event) => consents.insert({
+        email: normalizeEmail(email),
+        ...event
+    });
+
+    return {
+        consents,
+
+        /**
+         * Record the consent given with a form submission. `purposes` is what
+         * the submission signed up for; `page` is the Referer, used when the
+         * form didn't report its URL.
+         */
+        recordSubmission(formName, body, { email, purposes, source, page = null, recordId = null }) {
+            const notice = FORM_SCHEMAS[formName].consent || {};
+            const reported = typeof body.consentVersion === 'string'
+                ? body.consentVersion.trim().slice(0, MAX_VERSION_LENGTH)
+                : '';
+
+            // API clients that don't report a version showed no notice
+            const version = reported || null;
+            const checkboxes = Object.fromEntries(
+                Object.keys(notice.checkboxes || {}).map(field => [field, isChecked(body[field])])
+            );
+
+            return record(email, {
+                type: 'given',
+                form: formName,
+                source,
+                purposes,
+                version,
+                text: version && version === notice.version ? notice.text : null,
+                checkboxes,
+                checkboxLabels: version && version === notice.version ? notice.checkboxes || {} : {},
+                pageUrl: cleanUrl(body.pageUrl) || cleanUrl(page),
+                recordId
+            });
+        },
+
+        recordConfirmation(email, { purposes, source, recordId = null }) {
+            return record(email, { type: 'confirmed', purposes, source, recordId });
+        },
+
+        recordWithdrawal(email, { purposes = MAILING_PURPOSES, source, actor = null, note = null }) {
+            return record(email, { type: 'withdrawn', purposes, source, actor, note });
+        },
+
+        /**
+         * Every event for one address, oldest first, and the latest event
+         * type for each purpose
+         */
+        historyFor(email) {
+            const normalized = normalizeEmail(email);
+            const events = consents.find(event => event.email === normalized)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+            const current = {};
+            for (const event of events) {
+                for (const purpose of event.purposes || []) {
+                    current[purpose] = { status: event.type, since: event.createdAt, eventId: event.id };
+                }
+            }
+
+            return { email: normalized, current, events };
+        },
+
+        list(query) {
+            return queryRecords(consents.all(), query, QUERY_OPTIONS);
+        }
+    };
+}
@@ -0,0 +1,91 @@
+/**
+ * CSV reading and writing (RFC 4180)
+ * Quoted fields may contain commas, quotes ("") and line breaks. Spreadsheet
+ * exports often start with a byte order mark and use CRLF; both are handled.
+ */
+
+/**
+ * Parse CSV text into an array of rows, each an array of strings
+ */
+export function parseCsv(text) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < source.length; index += 1) {
+        const char = source[index];
+
+        if (quoted) {
+            if (char === '"' && source[index + 1] === '"') {
+                field += '"';
+                index += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[index + 1] === '\n') index += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines, which spreadsheets like to leave at the end
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by header
+ * `headerMap` maps normalised header names (lowercase letters and digits
+ * only, so "Business Size" becomes "businesssize") to record fields; other
+ * columns are ignored. Each object also gets its 1-based `line` number.
+ */
+export function parseCsvRecords(text, headerMap) {
+    const [header = [], ...rows] = parseCsv(text);
+    const fields = header.map(name => headerMap[name.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+
+    return {
+        fields: fields.filter(Boolean),
+        records: rows.map((cells, index) => {
+            const record = { line: index + 2 };
+            fields.forEach((field, column) => {
+                if (field) record[field] = (cells[column] || '').trim();
+            });
+            return record;
+        })
+    };
+}
+
+/**
+ * Format one CSV line. Values that a spreadsheet would run as a formula get
+ * a leading apostrophe so exported data can't execute on open.
+ */
+export function formatCsvRow(values) {
+    return values.map(value => {
+        if (value === undefined || value === null) return '';
+
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+}
@@ -0,0 +1,144 @@
+import { scrub } from './logger.js';
+
+/**
+ * Health checks
+ * Each dependency reports its own status, so "up but can't send mail" reads
+ * differently from "down":
+ * - `up`: working
+ * - `degraded`: reachable but struggling (e.g. the mail queue is backing up)
+ * - `down`: not working
+ * The overall status is `down` when a critical check is down, `degraded` when
+ * any other check isn't up, and `up` otherwise. Checks time out and their
+ * results are cached briefly, so frequent probes don't hammer SMTP or Vapi.
+ */
+
+export const HEALTH_STATUSES = ['up', 'degraded', 'down'];
+
+const withTimeout = (promise, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * `checks` maps a name to `{ critical, run }`; `run` resolves to
+ * `{ status, message?, ...details }` or throws (reported as down)
+ */
+export function createHealthChecks({ checks, cacheMs = 10 * 1000, timeoutMs = 5000 }) {
+    const cache = new Map();
+    const inflight = new Map();
+
+    const runCheck = async (name, { critical = false, run }) => {
+        const started = Date.now();
+        let result;
+        try {
+            // A slow dependency is only asked again once its last answer arrives
+            if (!inflight.has(name)) {
+                inflight.set(name, Promise.resolve().then(run).finally(() => inflight.delete(name)));
+            }
+            result = await withTimeout(inflight.get(name), timeoutMs);
+        } catch (error) {
+            result = { status: 'down', message: scrub(error.message || String(error)) };
+        }
+
+        return {
+            critical,
+            ...result,
+            latencyMs: Date.now() - started,
+            checkedAt: new Date().toISOString()
+        };
+    };
+
+    const check = (name) => {
+        const cached = cache.get(name);
+        if (cached && cached.expiresAt > Date.now()) return cached.result;
+
+        const result = runCheck(name, checks[name]);
+        cache.set(name, { result, expiresAt: Date.now() + cacheMs });
+        return result;
+    };
+
+    return {
+        /**
+         * Run (or reuse) every check and combine them
+         */
+        async report() {
+            const names = Object.keys(checks);
+            const results = Object.fromEntries(
+                await Promise.all(names.map(async name => [name, await check(name)]))
+            );
+
+            const all = Object.values(results);
+            const status = all.some(result => result.critical && result.status === 'down') ? 'down'
+                : all.some(result => result.status !== 'up') ? 'degraded'
+                    : 'up';
+
+            return { status, timestamp: new Date().toISOString(), checks: results };
+        }
+    };
+}
+
+/**
+ * The data store can be written to and read back
+ */
+export const storeCheck = (store) => ({
+    critical: true,
+    run: async () => {
+        await store.check();
+        return { status: 'up' };
+    }
+});
+
+/**
+ * The mail transport is ready: the SMTP server (or Gmail) accepts a
+ * connection and our credentials, or the outbox directory can be written
+ */
+export const smtpCheck = (mailer) => ({
+    run: async () => {
+        if (!mailer.isConfigured) {
+            return { status: 'down', message: 'Email is not configured' };
+        }
+        await mailer.verify();
+        return { status: 'up', transport: mailer.transport };
+    }
+});
+
+/**
+ * The mail queue is draining: nothing has waited past `maxOverdueMs` and the
+ * backlog is under `maxBacklog`
+ */
+export const mailQueueCheck = (mailQueue, { maxBacklog = 500, maxOverdueMs = 15 * 60 * 1000 } = {}) => ({
+    run: async () => {
+        const queued = mailQueue.queue.all();
+        const cutoff = new Date(Date.now() - maxOverdueMs).toISOString();
+        const overdue = queued.filter(message => message.nextAttemptAt < cutoff).length;
+        const details = { queued: queued.length, overdue, deadLetters: mailQueue.deadLetters.all().length };
+
+        if (overdue > 0) {
+            return { status: 'degraded', message: `${overdue} message(s) overdue by more than ${Math.round(maxOverdueMs / 60000)} minutes`, ...details };
+        }
+        if (queued.length > maxBacklog) {
+            return { status: 'degraded', message: `More than ${maxBacklog} messages queued`, ...details };
+        }
+        return { status: 'up', ...details };
+    }
+});
+
+/**
+ * Express handlers: `live` answers as long as the process can serve
+ * requests; `ready` runs the checks and answers 503 when the service is down
+ */
+export function healthHandlers(health) {
+    return {
+        live(req, res) {
+            res.json({ status: 'up', timestamp: new Date().toISOString(), uptimeSeconds: Math.round(process.uptime()) });
+        },
+
+        async ready(req, res) {
+            const report = await health.report();
+            res.status(report.status === 'down' ? 503 : 200).json(report);
+        }
+    };
+}
@@ -0,0 +1,165 @@
+import express from 'express';
+import cors from 'cors';
+import { createStore } from './store.js';
+import { createAccountService } from './accounts.js';
+import { createAuth } from './auth.js';
+import { logger, requestLogger } from './logger.js';
+import { httpMetrics, metricsHandler } from './metrics.js';
+import { createSiteApp } from './apps/site.js';
+import { createVapiApp } from './apps/vapi.js';
+
+const log = logger.child({ component: 'host' });
+
+/**
+ * Process host
+ * Builds one Express app around any of the mountable apps in server/apps,
+ * with what they share: the data store, accounts and sign-in, request logs,
+ * metrics, body parsing and the CORS policy. `serve` listens and shuts down
+ * gracefully.
+ *
+ * Each app is `{ name, router, assets?, start?(), stop?() }`: `assets` is
+ * static-file middleware mounted ahead of request logging, `start` begins
+ * background work once the server listens and `stop` finishes it.
+ */
+
+export const APPS = {
+    site: createSiteApp,
+    vapi: createVapiApp
+};
+
+export function createHost({ config, apps, rootDir }) {
+    const store = createStore(config.DATA_DIR);
+    const accounts = createAccountService({
+        store,
+        sessionTtlHours: config.SESSION_TTL_HOURS
+    });
+    const auth = createAuth({
+        accounts,
+        legacyToken: config.ADMIN_API_TOKEN,
+        secureCookies: config.NODE_ENV === 'production'
+    });
+
+    const mounted = apps.map(name => APPS[name]({ config, store, accounts, auth, rootDir }));
+
+    const app = express();
+    let draining = false;
+
+    // Behind a proxy, trust it so rate limits see the real client IP
+    if (config.TRUST_PROXY) {
+        const trustProxy = config.TRUST_PROXY;
+        app.set('trust proxy', trustProxy === 'true' ? true : (Number(trustProxy) || trustProxy));
+    }
+
+    // Our own pages call the API same-origin; other sites only when listed
+    app.use(cors({ origin: config.CORS_ORIGINS.length > 0 ? config.CORS_ORIGINS : false }));
+
+    for (const { assets } of mounted) {
+        if (assets) app.use(assets);
+    }
+
+    // Request ids and one structured log entry per API request; before body
+    // parsing so malformed bodies are logged with an id too
+    app.use(requestLogger());
+    app.use(httpMetrics());
+
+    // While shutting down, don't keep connections open for more requests
+    app.use((req, res, next) => {
+        if (draining) res.set('Connection', 'close');
+        next();
+    });
+
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    app.use(auth.authenticate);
+
+    // Prometheus metrics for everything this process hosts; scrape with a
+    // viewer API key as the bearer token
+    app.get('/metrics', auth.requireRole('viewer'), metricsHandler);
+
+    for (const { router } of mounted) {
+        app.use(router);
+    }
+
+    // Anything a route didn't handle: log it with the request id, answer generically
+    app.use((error, req, res, next) => {
+        const status = error.status || 500;
+        const path = req.originalUrl.split('?')[0];
+        if (status >= 500) {
+            logger.error('Unhandled error', { error, method: req.method, path });
+        } else {
+            logger.warn('Rejected request', { error: error.message, method: req.method, path });
+        }
+        if (res.headersSent) return next(error);
+
+        res.status(status).json({
+            success: false,
+            message: error.expose ? error.message : 'Something went wrong. Please try again later.',
+            requestId: req.id
+        });
+    });
+
+    return {
+        app,
+        apps: mounted,
+        store,
+
+        drain() {
+            draining = true;
+        }
+    };
+}
+
+/**
+ * Listen on `port`, start the apps' background work, and shut down
+ * gracefully on SIGTERM or SIGINT: stop accepting connections, let
+ * in-flight requests finish, then let each app finish its queued work.
+ * Anything still running after `shutdownTimeoutMs` is abandoned (queued
+ * work is in the store and resumes on the next start). A second Ctrl-C
+ * exits at once.
+ */
+export function serve(host, { port, shutdownTimeoutMs }) {
+    const names = host.apps.map(app => app.name);
+
+    const server = host.app.listen(port, () => {
+        log.info(`Server running on http://localhost:${port}`, { port, apps: names });
+        for (const app of host.apps) {
+            if (app.start) app.start();
+        }
+    });
+
+    let shuttingDown = null;
+
+    const shutdown = (signal) => {
+        if (shuttingDown) return shuttingDown;
+
+        log.info('Shutting down', { signal, timeoutSeconds: shutdownTimeoutMs / 1000 });
+        host.drain();
+
+        setTimeout(() => {
+            log.error('Shutdown timed out; exiting with work unfinished');
+            process.exit(1);
+        }, shutdownTimeoutMs).unref();
+
+        shuttingDown = (async () => {
+            await new Promise(resolve => {
+                server.close(resolve);
+                server.closeIdleConnections();
+            });
+            log.info('Requests drained');
+
+            await Promise.all(host.apps.map(app => app.stop && app.stop()));
+            log.info('Shutdown complete');
+            process.exit(0);
+        })().catch(error => {
+            log.error('Shutdown failed', { error });
+            process.exit(1);
+        });
+
+        return shuttingDown;
+    };
+
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
+
+    return { server, shutdown };
+}
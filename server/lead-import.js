@@ -0,0 +1,128 @@
+import { AI_EXPERIENCE_LEVELS, BUSINESS_SIZES, normalizeEmail } from './leads.js';
+import { parseCsvRecords } from './csv.js';
+import { FORM_SCHEMAS, validateFields } from './validation.js';
+
+/**
+ * Spreadsheet imports
+ * Rows are checked with the same rules as the site's forms, matched against
+ * existing records (and earlier rows) by email address, and reported back
+ * line by line. Existing records are never overwritten.
+ */
+
+const MEMBER_COLUMNS = {
+    name: 'name',
+    fullname: 'name',
+    email: 'email',
+    emailaddress: 'email',
+    company: 'company',
+    businesssize: 'businessSize',
+    aiexperience: 'aiExperience',
+    newsletteroptin: 'newsletterOptIn',
+    newsletter: 'newsletterOptIn'
+};
+
+const SUBSCRIBER_COLUMNS = {
+    name: 'name',
+    fullname: 'name',
+    email: 'email',
+    emailaddress: 'email',
+    company: 'company'
+};
+
+const { newsletter, community } = FORM_SCHEMAS;
+
+// The community form's rules, except that AI experience may be left blank
+const MEMBER_SCHEMA = {
+    ...community.fields,
+    businessSize: `oneOf:${BUSINESS_SIZES.join('|')}`,
+    aiExperience: `oneOf:${AI_EXPERIENCE_LEVELS.join('|')}`
+};
+
+export const SUBSCRIBER_IMPORT_STATUSES = ['confirmed', 'pending'];
+
+export function createLeadImporter({ leads }) {
+    /**
+     * Shared pass over the rows: validate, de-duplicate, then save
+     */
+    const importRows = async (text, { columns, schema, findExisting, save, dryRun }) => {
+        const { fields, records } = parseCsvRecords(text, columns);
+
+        if (!fields.includes('email')) {
+            throw new RangeError('The CSV needs a header row with an "email" column.');
+        }
+
+        const report = { total: records.length, imported: 0, duplicates: [], rejected: [] };
+        const seen = new Set();
+
+        for (const { line, ...row } of records) {
+            const errors = validateFields(row, schema);
+
+            if (Object.keys(errors).length > 0) {
+                report.rejected.push({ line, email: row.email || null, errors });
+                continue;
+            }
+
+            const email = normalizeEmail(row.email);
+            if (seen.has(email) || findExisting(email)) {
+                report.duplicates.push({ line, email });
+                continue;
+            }
+            seen.add(email);
+
+            if (!dryRun) {
+                await save({ ...row, email });
+            }
+            report.imported += 1;
+        }
+
+        return report;
+    };
+
+    return {
+        /**
+         * Import community members. Columns: name, email, company,
+         * businessSize, aiExperience, newsletterOptIn
+         */
+        importMembers(text, { source = 'import', dryRun = false } = {}) {
+            return importRows(text, {
+                columns: MEMBER_COLUMNS,
+                schema: MEMBER_SCHEMA,
+                findExisting: (email) => leads.findMemberByEmail(email),
+                save: (row) => leads.saveMember({
+                    ...row,
+                    businessSize: row.businessSize ? row.businessSize.toLowerCase() : null,
+                    aiExperience: row.aiExperience ? row.aiExperience.toLowerCase() : null,
+                    newsletterOptIn: ['true', 'yes', 'y', '1', 'on'].includes(String(row.newsletterOptIn).toLowerCase())
+                }, { source }),
+                dryRun
+            });
+        },
+
+        /**
+         * Import newsletter subscribers. Columns: name, email, company.
+         * `status: 'confirmed'` records consent given elsewhere (an event
+         * signup sheet, say); `pending` leaves them waiting for a confirmation.
+         */
+        importSubscribers(text, { source = 'import', status = 'confirmed', dryRun = false } = {}) {
+            if (!SUBSCRIBER_IMPORT_STATUSES.includes(status)) {
+                throw new RangeError(`Status must be one of: ${SUBSCRIBER_IMPORT_STATUSES.join(', ')}`);
+            }
+
+            return importRows(text, {
+                columns: SUBSCRIBER_COLUMNS,
+                schema: newsletter.fields,
+                findExisting: (email) => leads.findSubscriberByEmail(email),
+                save: async (row) => {
+                    const subscriber = await leads.saveSubscriber(row, { source });
+                    if (status === 'confirmed') {
+                        await leads.subscribers.update(subscriber.id, {
+                            status: 'confirmed',
+                            confirmedAt: new Date().toISOString()
+                        });
+                    }
+                },
+                dryRun
+            });
+        }
+    };
+}
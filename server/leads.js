@@ -0,0 +1,200 @@
+/**
+ * Lead repository
+ * System of record for community members, newsletter subscribers and
+ * consultation requests
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const toBoolean = (value) => value === true || value === 'true' || value === 'on';
+
+const toISODate = (value, field) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new RangeError(`Invalid date for "${field}"`);
+    }
+    return date.toISOString();
+};
+
+// Values offered by the community form's selects
+export { AI_EXPERIENCE_LEVELS, BUSINESS_SIZES } from '../js/shared/form-schemas.js';
+
+// Filterable and searchable fields for each lead type
+export const MEMBER_QUERY_OPTIONS = {
+    exactFields: ['email', 'businessSize', 'aiExperience', 'newsletterOptIn', 'source'],
+    searchFields: ['name', 'email', 'company']
+};
+
+export const SUBSCRIBER_QUERY_OPTIONS = {
+    exactFields: ['email', 'status', 'source'],
+    searchFields: ['name', 'email', 'company']
+};
+
+/**
+ * Filter and sort (newest first) a list of records without paginating
+ * Supported query keys: q (free text), since, until, plus any field listed in
+ * `exactFields`.
+ */
+export function filterRecords(records, query = {}, { exactFields = [], searchFields = [] } = {}) {
+    let results = records;
+
+    for (const field of exactFields) {
+        if (query[field] !== undefined && query[field] !== '') {
+            const expected = String(query[field]).toLowerCase();
+            results = results.filter(record => String(record[field]).toLowerCase() === expected);
+        }
+    }
+
+    if (query.q) {
+        const needle = String(query.q).toLowerCase();
+        results = results.filter(record =>
+            searchFields.some(field => String(record[field] || '').toLowerCase().includes(needle))
+        );
+    }
+
+    if (query.since) {
+        const since = toISODate(query.since, 'since');
+        results = results.filter(record => record.createdAt >= since);
+    }
+
+    if (query.until) {
+        const until = toISODate(query.until, 'until');
+        results = results.filter(record => record.createdAt <= until);
+    }
+
+    return [...results].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Filter, sort (newest first) and paginate a list of records
+ * Adds `limit` and `offset` to the query keys `filterRecords` supports.
+ */
+export function queryRecords(records, query = {}, options = {}) {
+    const results = filterRecords(records, query, options);
+
+    const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+
+    return {
+        total: results.length,
+        limit,
+        offset,
+        items: results.slice(offset, offset + limit)
+    };
+}
+
+export function createLeadRepository(store) {
+    const members = store.collection('members');
+    const subscribers = store.collection('subscribers');
+    const consultations = store.collection('consultations');
+
+    const findByEmail = (collection, email) => {
+        const normalized = normalizeEmail(email);
+        return collection.findOne(record => record.email === normalized);
+    };
+
+    return {
+        members,
+        subscribers,
+        consultations,
+
+        /**
+         * Record a community join, updating the existing member on repeat joins
+         */
+        async saveMember(formData, { source = 'community-form' } = {}) {
+            const data = {
+                name: String(formData.name).trim(),
+                email: normalizeEmail(formData.email),
+                company: formData.company ? String(formData.company).trim() : null,
+                businessSize: formData.businessSize ? String(formData.businessSize).trim().toLowerCase() : null,
+                aiExperience: formData.aiExperience ? String(formData.aiExperience).trim().toLowerCase() : null,
+                newsletterOptIn: toBoolean(formData.newsletterOptIn),
+                source
+            };
+
+            const existing = findByEmail(members, data.email);
+            return existing
+                ? members.update(existing.id, data)
+                : members.insert(data);
+        },
+
+        /**
+         * Record a newsletter subscription, keeping one record per address.
+         * New subscribers start as `pending` until they confirm by email.
+         */
+        async saveSubscriber({ email, name, company }, { source = 'newsletter-form' } = {}) {
+            const normalized = normalizeEmail(email);
+            const existing = findByEmail(subscribers, normalized);
+
+            if (existing) {
+                return subscribers.update(existing.id, {
+                    name: name ? String(name).trim() : existing.name,
+                    company: company ? String(company).trim() : existing.company
+                });
+            }
+
+            return subscribers.insert({
+                email: normalized,
+                name: name ? String(name).trim() : null,
+                company: company ? String(company).trim() : null,
+                status: 'pending',
+                source
+            });
+        },
+
+        /**
+         * Record a consultation request; every request is kept
+         */
+        async saveConsultation(formData) {
+            const optional = (value) => value ? String(value).trim() : null;
+
+            return consultations.insert({
+                name: String(formData.name).trim(),
+                email: normalizeEmail(formData.email),
+                company: optional(formData.company),
+                phone: optional(formData.phone),
+                service: String(formData.service).trim(),
+                message: String(formData.message).trim(),
+                status: 'new'
+            });
+        },
+
+        listMembers(query) {
+            return queryRecords(members.all(), query, MEMBER_QUERY_OPTIONS);
+        },
+
+        listSubscribers(query) {
+            return queryRecords(subscribers.all(), query, SUBSCRIBER_QUERY_OPTIONS);
+        },
+
+        listConsultations(query) {
+            return queryRecords(consultations.all(), query, {
+                exactFields: ['email', 'service', 'status'],
+                searchFields: ['name', 'email', 'company', 'message']
+            });
+        },
+
+        getMember(id) {
+            return members.get(id);
+        },
+
+        getSubscriber(id) {
+            return subscribers.get(id);
+        },
+
+        getConsultation(id) {
+            return consultations.get(id);
+        },
+
+        findMemberByEmail(email) {
+            return findByEmail(members, email);
+        },
+
+        findSubscriberByEmail(email) {
+            return findByEmail(subscribers, email);
+        }
+    };
+}
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Structured logging
+ * One shared logger for server.js, vapi-server.js and the MCP server. Each
+ * entry is a JSON line (`LOG_FORMAT=json`, the default in production) or a
+ * readable line for development (`pretty`), and never contains PII:
+ * - fields named like personal data (email, name, phone, message, ...) or
+ *   credentials (password, token, authorization, ...) are replaced
+ * - email addresses and international phone numbers inside any string,
+ *   including the message itself, are masked
+ * Entries written while handling a request carry its `requestId`, which is
+ * also returned to the client in `X-Request-Id`.
+ */
+
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+const REDACTED = '[redacted]';
+
+// Field names are compared in lower case
+const REDACTED_FIELDS = new Set([
+    'email', 'to', 'cc', 'bcc', 'from', 'replyto',
+    'name', 'firstname', 'lastname', 'customername',
+    'phone', 'phonenumber', 'number', 'company', 'message', 'address', 'ip',
+    'password', 'pass', 'passwordhash', 'token', 'secret', 'key', 'apikey',
+    'authorization', 'cookie', 'set-cookie', 'x-vapi-secret'
+]);
+
+const EMAIL_PATTERN = /[^\s@<>"'(),;:]+@[^\s@<>"'(),;:]+\.[A-Za-z]{2,}/g;
+const PHONE_PATTERN = /\+\d[\d\s().-]{6,}\d/g;
+
+// Incoming ids are reused only when they look like ids
+const VALID_REQUEST_ID = /^[\w.-]{1,64}$/;
+
+const ICONS = { debug: '🔍', info: 'ℹ️ ', warn: '⚠️ ', error: '❌' };
+
+const context = new AsyncLocalStorage();
+
+const settings = {
+    service: 'app',
+    level: 'info',
+    format: process.env.NODE_ENV === 'production' ? 'json' : 'pretty',
+    stream: null
+};
+
+export const scrub = (text) => String(text)
+    .replace(EMAIL_PATTERN, '[email]')
+    .replace(PHONE_PATTERN, '[phone]');
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: scrub(error.message),
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.responseCode !== undefined && { responseCode: error.responseCode }),
+    ...(error.stack && { stack: scrub(error.stack) })
+});
+
+/**
+ * Copy of `value` with PII removed, safe to serialize
+ */
+export function redact(value, depth = 0) {
+    if (value instanceof Error) return serializeError(value);
+    if (typeof value === 'string') return scrub(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > 5) return '[truncated]';
+
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        REDACTED_FIELDS.has(key.toLowerCase()) && item !== null && item !== undefined && item !== ''
+            ? REDACTED
+            : redact(item, depth + 1)
+    ]));
+}
+
+const formatPretty = (entry) => {
+    const { time, level, service, msg, ...fields } = entry;
+    const details = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time.slice(11, 19)} ${ICONS[level]} ${msg}${details ? `  ${details}` : ''}`;
+};
+
+const write = (level, bindings, msg, fields) => {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(settings.level)) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        service: settings.service,
+        msg: scrub(msg),
+        ...context.getStore(),
+        ...redact({ ...bindings, ...fields })
+    };
+
+    const line = settings.format === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+    const stream = settings.stream || (level === 'warn' || level === 'error' ? process.stderr : process.stdout);
+    stream.write(`${line}\n`);
+};
+
+const createLogger = (bindings = {}) => ({
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+
+    /**
+     * Logger that adds `extra` to every entry, e.g. { component: 'mail-queue' }
+     */
+    child: (extra) => createLogger({ ...bindings, ...extra })
+});
+
+export const logger = createLogger();
+
+/**
+ * Set up the shared logger once per process, after config is loaded.
+ * `stream` sends every entry to one place (the MCP server must keep stdout
+ * for the protocol).
+ */
+export function configureLogger({ service, level, format, stream } = {}) {
+    if (service) settings.service = service;
+    if (level) settings.level = level;
+    if (format) settings.format = format;
+    if (stream) settings.stream = stream;
+}
+
+/**
+ * Run `fn` with fields added to every entry logged inside it, including
+ * from async work it starts
+ */
+export function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Express middleware: assign a request id (reusing a valid incoming
+ * X-Request-Id), echo it in the response and log each request once it ends.
+ * Only the path is logged; query strings can carry tokens.
+ */
+export function requestLogger() {
+    const log = logger.child({ component: 'http' });
+
+    return (req, res, next) => {
+        const incoming = req.get(REQUEST_ID_HEADER);
+        const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+        const started = process.hrtime.bigint();
+
+        req.id = requestId;
+        res.set(REQUEST_ID_HEADER, requestId);
+
+        res.on('finish', () => {
+            // Routers rewrite req.path while they run; log the full path
+            const path = req.originalUrl.split('?')[0];
+            const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+            withLogContext({ requestId }, () => log[level](`${req.method} ${path} ${res.statusCode}`, {
+                method: req.method,
+                path,
+                status: res.statusCode,
+                durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+                principal: req.principal ? `${req.principal.type}:${req.principal.id}` : undefined
+            }));
+        });
+
+        withLogContext({ requestId }, next);
+    };
+}
@@ -0,0 +1,236 @@
+import { queryRecords } from './leads.js';
+import { logger } from './logger.js';
+import { mailFailureOutcome, mailSends } from './metrics.js';
+
+const log = logger.child({ component: 'mail-queue' });
+
+/**
+ * Durable outbound mail queue
+ * Routes enqueue messages and return straight away; a background worker sends
+ * them with exponential backoff. Messages that fail permanently, or run out of
+ * attempts, move to the dead-letter collection until an admin re-drives them.
+ * Removed messages stay in the queue file's history until it is rewritten, so
+ * it is compacted on the next poll after any leave, and again on stop: sent
+ * bodies (which may hold signed links) are gone from disk within seconds.
+ *
+ * Pass `dataSubject` in the mail options for mail about someone that goes to
+ * someone else (e.g. a team notification of their submission); it is kept
+ * with the message so data requests can find it.
+ */
+
+const QUERY_OPTIONS = {
+    exactFields: ['label', 'to'],
+    searchFields: ['label', 'to', 'subject', 'lastError']
+};
+
+/**
+ * Failures that retrying won't fix: every recipient suppressed, or the SMTP
+ * server rejecting the message outright (5xx)
+ */
+const isPermanentFailure = (error) =>
+    error.code === 'ESUPPRESSED' || (error.responseCode >= 500 && error.responseCode < 600);
+
+const describeError = (error) => error.response || error.message || String(error);
+
+export function createMailQueue({
+    store,
+    send,
+    maxAttempts = 6,
+    baseDelayMs = 30 * 1000,
+    maxDelayMs = 60 * 60 * 1000,
+    pollIntervalMs = 5000
+}) {
+    const queue = store.collection('mail-queue');
+    const deadLetters = store.collection('mail-dead-letters');
+
+    let draining = null;
+    let timer = null;
+    let removedSinceCompact = 0;
+
+    const backoff = (attempts) => Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+
+    const forget = async (message) => {
+        await queue.remove(message.id);
+        removedSinceCompact += 1;
+    };
+
+    // Rewrite the log once messages have left it, dropping their earlier versions
+    const compactIfNeeded = async () => {
+        if (removedSinceCompact === 0) return;
+        removedSinceCompact = 0;
+        await queue.compact().catch(error => log.error('Mail queue compaction failed', { error }));
+    };
+
+    const deadLetter = async (message, attempts, error) => {
+        await deadLetters.insert({
+            label: message.label,
+            to: message.to,
+            dataSubject: message.dataSubject || null,
+            subject: message.subject,
+            mail: message.mail,
+            attempts,
+            queuedAt: message.createdAt,
+            failedAt: new Date().toISOString(),
+            lastError: describeError(error)
+        });
+        await forget(message);
+
+        log.error(`${message.label} email moved to dead letters`, { messageId: message.id, attempts, error: describeError(error) });
+    };
+
+    const deliver = async (message) => {
+        const attempts = message.attempts + 1;
+
+        try {
+            await send(message.mail);
+            mailSends.inc({ label: message.label, outcome: 'success' });
+            await forget(message);
+            log.info(`${message.label} email sent`, { messageId: message.id, attempts });
+        } catch (error) {
+            mailSends.inc({ label: message.label, outcome: mailFailureOutcome(error) });
+            if (isPermanentFailure(error) || attempts >= maxAttempts) {
+                return deadLetter(message, attempts, error);
+            }
+
+            const delay = backoff(attempts);
+            await queue.update(message.id, {
+                attempts,
+                nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+                lastError: describeError(error)
+            });
+
+            log.warn(`${message.label} email failed, will retry`, {
+                messageId: message.id,
+                attempts,
+                maxAttempts,
+                retryInSeconds: Math.round(delay / 1000),
+                error: describeError(error)
+            });
+        }
+    };
+
+    /**
+     * Send every message that is due, one at a time
+     */
+    const drain = () => {
+        if (draining) return draining;
+
+        draining = (async () => {
+            const now = new Date().toISOString();
+            const due = queue.find(message => message.nextAttemptAt <= now)
+                .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+
+            for (const message of due) {
+                try {
+                    await deliver(message);
+                } catch (error) {
+                    // The store itself failed; leave the message for the next pass
+                    log.error('Mail queue error', { messageId: message.id, error });
+                }
+            }
+        })().finally(() => {
+            draining = null;
+        });
+
+        return draining;
+    };
+
+    const redrive = async (id) => {
+        const letter = deadLetters.get(id);
+        if (!letter) return null;
+
+        const message = await enqueue(letter.mail, { label: letter.label });
+        await deadLetters.remove(id);
+        return message;
+    };
+
+    const enqueue = async (mail, { label = 'Outbound' } = {}) => {
+        const message = await queue.insert({
+            label,
+            to: [].concat(mail.to).join(', '),
+            dataSubject: mail.dataSubject || null,
+            subject: mail.subject || '',
+            mail,
+            attempts: 0,
+            nextAttemptAt: new Date().toISOString(),
+            lastError: null
+        });
+
+        setImmediate(drain);
+        return message;
+    };
+
+    return {
+        queue,
+        deadLetters,
+        enqueue,
+        drain,
+
+        /**
+         * Start polling for due messages; call once at startup
+         */
+        start() {
+            if (timer) return;
+
+            timer = setInterval(() => {
+                compactIfNeeded();
+                drain();
+            }, pollIntervalMs);
+            timer.unref();
+
+            // Sent messages leave delete markers behind; start from a clean log
+            queue.compact()
+                .catch(error => log.error('Mail queue compaction failed', { error }))
+                .then(drain);
+        },
+
+        /**
+         * Stop polling, then send whatever is already due. Resolves once
+         * that last pass is done; later retries wait for the next start.
+         */
+        async stop() {
+            clearInterval(timer);
+            timer = null;
+            await drain();
+            await compactIfNeeded();
+        },
+
+        listQueued(query) {
+            return queryRecords(queue.all(), query, QUERY_OPTIONS);
+        },
+
+        listDeadLetters(query) {
+            return queryRecords(deadLetters.all(), query, QUERY_OPTIONS);
+        },
+
+        getDeadLetter(id) {
+            return deadLetters.get(id);
+        },
+
+        /**
+         * Put a dead letter back on the queue with a fresh set of attempts
+         */
+        redrive,
+
+        /**
+         * Re-drive every dead letter matching the query's filters
+         */
+        async redriveAll(query = {}) {
+            const queued = [];
+            let batch;
+
+            // Re-driven letters leave the collection, so always read the first page
+            while ((batch = queryRecords(deadLetters.all(), { ...query, limit: 500, offset: 0 }, QUERY_OPTIONS).items).length) {
+                for (const letter of batch) {
+                    queued.push(await redrive(letter.id));
+                }
+            }
+
+            return queued;
+        },
+
+        async discard(id) {
+            return deadLetters.remove(id);
+        }
+    };
+}
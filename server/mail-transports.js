@@ -0,0 +1,207 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+/**
+ * Mail transports
+ * Where the mailer hands the messages it builds (MAIL_TRANSPORT):
+ * - `gmail` and `smtp` deliver them
+ * - `outbox` writes each one to MAIL_OUTBOX_DIR, to read back at /dev/outbox
+ * - `json` returns each one as JSON in the send result and keeps nothing,
+ *   for scripts and tests
+ * - `ethereal` sends to a throwaway Ethereal account (needs the network)
+ */
+
+// Oldest messages are removed beyond this many
+const MAX_OUTBOX_MESSAGES = 1000;
+
+const OUTBOX_ID_PATTERN = /^\d{13}-[0-9a-f]{8}$/;
+
+const bodyText = (value) => {
+    if (typeof value === 'string') return value;
+    if (Buffer.isBuffer(value)) return value.toString('utf8');
+    return null;
+};
+
+/**
+ * A directory of sent messages: `<id>.eml` holds the raw message and
+ * `<id>.json` what the outbox page shows. Ids sort oldest first.
+ */
+export function createOutbox(dir) {
+    const file = (id, ext) => path.join(dir, `${id}.${ext}`);
+
+    const ids = async () => {
+        const names = await fs.promises.readdir(dir).catch(error => {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        });
+        return names
+            .filter(name => name.endsWith('.json'))
+            .map(name => name.slice(0, -'.json'.length))
+            .filter(id => OUTBOX_ID_PATTERN.test(id))
+            .sort();
+    };
+
+    const remove = (id) => Promise.all(['json', 'eml'].map(ext =>
+        fs.promises.rm(file(id, ext), { force: true })
+    ));
+
+    const save = async (raw, message) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const record = { id, savedAt: new Date().toISOString(), size: raw.length, ...message };
+        await fs.promises.writeFile(file(id, 'eml'), raw);
+        await fs.promises.writeFile(file(id, 'json'), JSON.stringify(record, null, 2));
+
+        const stored = await ids();
+        await Promise.all(stored.slice(0, Math.max(0, stored.length - MAX_OUTBOX_MESSAGES)).map(remove));
+        return id;
+    };
+
+    return {
+        dir,
+
+        // A nodemailer transport: compile plugins run as for any other
+        transport: {
+            name: 'outbox',
+            version: '1.0.0',
+
+            send(mail, done) {
+                mail.message.keepBcc = true;
+                const envelope = mail.data.envelope || mail.message.getEnvelope();
+                const messageId = mail.message.messageId();
+
+                mail.message.build((error, raw) => {
+                    if (error) return done(error);
+
+                    const list = mail.data.list || {};
+                    save(raw, {
+                        messageId,
+                        envelope,
+                        subject: mail.data.subject || '',
+                        dataSubject: mail.data.dataSubject || null,
+                        html: bodyText(mail.data.html),
+                        text: bodyText(mail.data.text),
+                        listUnsubscribe: list.unsubscribe ? list.unsubscribe.url : null,
+                        attachments: (mail.data.attachments || []).map(attachment => ({
+                            filename: attachment.filename || null,
+                            contentType: attachment.contentType || null
+                        }))
+                    }).then(outboxId => done(null, { envelope, messageId, outboxId }), done);
+                });
+            },
+
+            async verify() {
+                await fs.promises.mkdir(dir, { recursive: true });
+                await fs.promises.access(dir, fs.constants.W_OK);
+                return true;
+            }
+        },
+
+        /**
+         * Saved messages, newest first, without their bodies
+         */
+        async list() {
+            const records = await Promise.all((await ids()).reverse().map(id => this.get(id)));
+            return records
+                .filter(Boolean)
+                .map(({ html, text, ...summary }) => summary);
+        },
+
+        async get(id) {
+            if (!OUTBOX_ID_PATTERN.test(id)) return null;
+            try {
+                return JSON.parse(await fs.promises.readFile(file(id, 'json'), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        /**
+         * The message as sent (RFC 822), or null
+         */
+        async raw(id) {
+            if (!OUTBOX_ID_PATTERN.test(id)) return null;
+            return fs.promises.readFile(file(id, 'eml')).catch(error => {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            });
+        },
+
+        async remove(id) {
+            if (!OUTBOX_ID_PATTERN.test(id)) return false;
+            await remove(id);
+            return true;
+        },
+
+        async clear() {
+            const stored = await ids();
+            await Promise.all(stored.map(remove));
+            return stored.length;
+        }
+    };
+}
+
+/**
+ * Build the nodemailer transporter for `name`; `outbox` is required for the
+ * outbox transport. Ethereal needs an account first: see
+ * `createEtherealTransport`.
+ */
+export function createTransport(name, config, { outbox = null } = {}) {
+    switch (name) {
+        case 'gmail':
+            if (!config.GMAIL_USER || !config.GMAIL_APP_PASSWORD) {
+                throw new Error('MAIL_TRANSPORT=gmail needs GMAIL_USER and GMAIL_APP_PASSWORD');
+            }
+            return nodemailer.createTransport({
+                service: 'gmail',
+                auth: {
+                    user: config.GMAIL_USER,
+                    pass: config.GMAIL_APP_PASSWORD
+                }
+            });
+
+        case 'smtp':
+            if (!config.SMTP_HOST) {
+                throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+            }
+            return nodemailer.createTransport({
+                host: config.SMTP_HOST,
+                port: config.SMTP_PORT,
+                secure: config.SMTP_SECURE,
+                auth: config.SMTP_USER ? {
+                    user: config.SMTP_USER,
+                    pass: config.SMTP_PASSWORD
+                } : undefined
+            });
+
+        case 'outbox':
+            return nodemailer.createTransport(outbox.transport);
+
+        case 'json':
+            return nodemailer.createTransport({ jsonTransport: true });
+
+        default:
+            throw new Error(`Unknown mail transport: ${name}`);
+    }
+}
+
+/**
+ * Create a throwaway Ethereal account and a transporter for it
+ */
+export async function createEtherealTransport() {
+    const account = await nodemailer.createTestAccount();
+    const transporter = nodemailer.createTransport({
+        host: 'smtp.ethereal.email',
+        port: 587,
+        secure: false,
+        auth: {
+            user: account.user,
+            pass: account.pass
+        }
+    });
+    return { account, transporter };
+}
@@ -0,0 +1,166 @@
+import nodemailer from 'nodemailer';
+import addressparser from 'nodemailer/lib/addressparser/index.js';
+import { loadConfig, resolveMailTransport } from './config.js';
+import { logger } from './logger.js';
+import { createEtherealTransport, createOutbox, createTransport } from './mail-transports.js';
+
+const log = logger.child({ component: 'mailer' });
+
+/**
+ * Mailer
+ * Owns the nodemailer transporter for the configured mail transport (see
+ * server/mail-transports.js). Every message built by the transporter passes
+ * through compile plugins that drop suppressed recipients and add one-click
+ * List-Unsubscribe headers (RFC 8058) to subscriber-facing mail.
+ */
+
+export class SuppressedRecipientError extends Error {
+    constructor(addresses) {
+        super(`All recipients are suppressed: ${addresses.join(', ')}`);
+        this.name = 'SuppressedRecipientError';
+        this.code = 'ESUPPRESSED';
+        this.addresses = addresses;
+    }
+}
+
+const parseAddresses = (value) => {
+    if (!value) return [];
+    return [].concat(value).flatMap(entry =>
+        typeof entry === 'string' ? addressparser(entry) : [entry]
+    ).filter(entry => entry && entry.address);
+};
+
+/**
+ * Compile plugin: remove suppressed recipients, fail when none remain
+ */
+const suppressionPlugin = (suppression) => (mail, done) => {
+    const options = { transactional: !!mail.data.transactional };
+    const blocked = [];
+
+    for (const field of ['to', 'cc', 'bcc']) {
+        const recipients = parseAddresses(mail.data[field]);
+        const allowed = recipients.filter(recipient => {
+            if (suppression.isSuppressed(recipient.address, options)) {
+                blocked.push(recipient.address);
+                return false;
+            }
+            return true;
+        });
+        mail.data[field] = allowed.length ? allowed : undefined;
+    }
+
+    const remaining = ['to', 'cc', 'bcc'].some(field => mail.data[field]);
+    if (!remaining) {
+        return done(new SuppressedRecipientError(blocked));
+    }
+
+    done();
+};
+
+/**
+ * Compile plugin: add List-Unsubscribe headers for the primary recipient of
+ * mail sent with `listUnsubscribe: true`
+ */
+const listUnsubscribePlugin = (unsubscribeUrl) => (mail, done) => {
+    if (!mail.data.listUnsubscribe) return done();
+
+    const [recipient] = parseAddresses(mail.data.to);
+
+    if (recipient && !(mail.data.list && mail.data.list.unsubscribe)) {
+        mail.data.list = {
+            ...mail.data.list,
+            unsubscribe: {
+                url: unsubscribeUrl(recipient.address),
+                comment: 'Unsubscribe'
+            }
+        };
+        mail.data.headers = {
+            ...mail.data.headers,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        };
+    }
+
+    done();
+};
+
+export function createMailer({ suppression, unsubscribeUrl, config = loadConfig().config }) {
+    const defaultFrom = config.GMAIL_USER || config.SMTP_USER || 'noreply@retrospxt.com';
+
+    const install = (transport) => {
+        transport.use('compile', suppressionPlugin(suppression));
+        transport.use('compile', listUnsubscribePlugin(unsubscribeUrl));
+        return transport;
+    };
+
+    const transport = resolveMailTransport(config);
+    const outbox = transport === 'outbox' ? createOutbox(config.MAIL_OUTBOX_DIR) : null;
+
+    let transporter = null;
+    if (transport === 'ethereal') {
+        createEtherealTransport()
+            .then(({ account, transporter: created }) => {
+                transporter = install(created);
+                // Preview URLs are logged for every message; the account itself is throwaway
+                log.info('Test email account created', { account: account.user });
+            })
+            .catch(error => log.error('Failed to create test account', { error }));
+    } else {
+        try {
+            transporter = install(createTransport(transport, config, { outbox }));
+        } catch (error) {
+            log.error('Failed to set up the mail transport', { transport, error });
+        }
+    }
+
+    return {
+        transport,
+
+        // The outbox's messages, when the outbox transport is in use
+        outbox,
+
+        get isConfigured() {
+            return !!transporter;
+        },
+
+        /**
+         * Connect and authenticate to the mail server without sending
+         */
+        async verify() {
+            if (!transporter) {
+                throw new Error('Email service is not configured');
+            }
+            // Nothing to connect to for the JSON transport
+            if (typeof transporter.transporter.verify !== 'function') return true;
+            return transporter.verify();
+        },
+
+        /**
+         * Send an email through the configured transporter.
+         * Pass `transactional: true` for mail the recipient requested themselves,
+         * and `listUnsubscribe: true` for mail to subscribers, which gets a
+         * one-click unsubscribe link.
+         */
+        async send(mailOptions) {
+            if (!transporter) {
+                throw new Error('Email service is not configured');
+            }
+
+            const info = await transporter.sendMail({
+                from: defaultFrom,
+                ...mailOptions
+            });
+
+            // Log where to read the message when it wasn't really sent
+            if (info.outboxId) {
+                log.info('Email saved to the outbox', { previewUrl: `${config.PUBLIC_URL}/dev/outbox/${info.outboxId}` });
+            } else if (info.messageId && config.NODE_ENV !== 'production') {
+                const previewUrl = nodemailer.getTestMessageUrl(info);
+                if (previewUrl) {
+                    log.info('Email preview available', { previewUrl });
+                }
+            }
+
+            return info;
+        }
+    };
+}
@@ -0,0 +1,135 @@
+import { escapeHtml } from './template-engine.js';
+
+/**
+ * Markdown to email-safe HTML
+ * Covers what newsletter issues need: headings, paragraphs, emphasis, inline
+ * code, links, images, lists, blockquotes, code blocks and rules. Raw HTML in
+ * the source is escaped, and elements carry inline styles because most mail
+ * clients ignore stylesheets.
+ */
+
+const STYLES = {
+    h1: 'color: #2563eb;',
+    h2: 'color: #2563eb;',
+    h3: 'color: #1e293b;',
+    a: 'color: #2563eb;',
+    img: 'max-width: 100%; height: auto;',
+    blockquote: 'margin: 20px 0; padding: 10px 20px; border-left: 4px solid #2563eb; background: #f8fafc;',
+    pre: 'background: #f1f5f9; padding: 15px; border-radius: 8px; overflow-x: auto;',
+    code: 'background: #f1f5f9; padding: 2px 4px; border-radius: 4px;',
+    hr: 'border: none; border-top: 1px solid #e2e8f0; margin: 30px 0;'
+};
+
+const style = (tag) => STYLES[tag] ? ` style="${STYLES[tag]}"` : '';
+
+// Only web and mail links; anything else (javascript: and friends) is dropped
+const safeUrl = (url) => /^(https?:|mailto:|\/|#)/i.test(url) ? url : '#';
+
+/**
+ * Inline formatting on already-escaped text
+ */
+function renderInline(text) {
+    // Code spans, links and images are set aside so emphasis can't reach
+    // inside them (underscores in URLs, asterisks in code)
+    const stashed = [];
+    const stash = (html) => {
+        stashed.push(html);
+        return `\u0000${stashed.length - 1}\u0000`;
+    };
+
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, (match, code) => stash(`<code${style('code')}>${code}</code>`))
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) =>
+            stash(`<img src="${safeUrl(src)}" alt="${alt}"${style('img')}>`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+            `<a href="${stash(safeUrl(href))}"${style('a')}>${label}</a>`)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|\W)__(.+?)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>')
+        // Underscores inside words (snake_case) are left alone
+        .replace(/(^|\W)_(.+?)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/ {2,}\n|\\\n/g, '<br>\n')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => stashed[index]);
+}
+
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+export function markdownToHtml(source) {
+    const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let index = 0;
+
+    const collect = (predicate) => {
+        const collected = [];
+        while (index < lines.length && predicate(lines[index])) {
+            collected.push(lines[index]);
+            index += 1;
+        }
+        return collected;
+    };
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (!line.trim()) {
+            index += 1;
+            continue;
+        }
+
+        // Fenced code block
+        if (/^```/.test(line)) {
+            index += 1;
+            const code = collect(current => !/^```/.test(current));
+            index += 1;
+            blocks.push(`<pre${style('pre')}><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+        if (heading) {
+            const tag = `h${heading[1].length}`;
+            blocks.push(`<${tag}${style(tag)}>${renderInline(heading[2])}</${tag}>`);
+            index += 1;
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            blocks.push(`<hr${style('hr')}>`);
+            index += 1;
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const quoted = collect(current => /^\s*>/.test(current)).map(current => current.replace(/^\s*>\s?/, ''));
+            blocks.push(`<blockquote${style('blockquote')}>${markdownToHtml(quoted.join('\n'))}</blockquote>`);
+            continue;
+        }
+
+        const listItem = line.match(LIST_ITEM);
+        if (listItem) {
+            const tag = /\d/.test(listItem[1]) ? 'ol' : 'ul';
+            const items = [];
+
+            while (index < lines.length && lines[index].trim()) {
+                const item = lines[index].match(LIST_ITEM);
+                if (item) {
+                    items.push(item[2]);
+                } else {
+                    // Continuation line of the previous item
+                    items[items.length - 1] += `\n${lines[index].trim()}`;
+                }
+                index += 1;
+            }
+
+            blocks.push(`<${tag}>${items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`);
+            continue;
+        }
+
+        const paragraph = collect(current =>
+            current.trim() && !/^(#{1,6}\s|```|\s*>)/.test(current) && !LIST_ITEM.test(current)
+        );
+        blocks.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+    }
+
+    return blocks.join('\n');
+}
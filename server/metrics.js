@@ -0,0 +1,230 @@
+/**
+ * Metrics
+ * Counters and histograms in the Prometheus text format, served at /metrics
+ * by both server.js and vapi-server.js. Each process keeps its own numbers,
+ * so scrape both. Label values come from fixed sets (route patterns, form
+ * names, event types), never straight from user input, which keeps the
+ * number of series bounded.
+ */
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; suits HTTP handlers and third-party API calls alike
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Webhook types the Vapi server handles; anything else is counted as `other`
+export const VAPI_EVENT_TYPES = ['call-start', 'call-end', 'transcript', 'function-call'];
+
+const escapeLabel = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+const formatLabels = (pairs) => pairs.length === 0
+    ? ''
+    : `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+
+const formatNumber = (value) => Number.isFinite(value) ? String(value) : (value > 0 ? '+Inf' : '-Inf');
+
+export function createRegistry() {
+    const metrics = [];
+
+    const register = (metric) => {
+        if (metrics.some(existing => existing.name === metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        metrics.push(metric);
+        return metric;
+    };
+
+    // One series per combination of label values, in `labelNames` order
+    const seriesStore = (labelNames, create) => {
+        const series = new Map();
+        return {
+            get(labels = {}) {
+                const values = labelNames.map(name => labels[name] === undefined ? '' : String(labels[name]));
+                const key = JSON.stringify(values);
+                if (!series.has(key)) {
+                    series.set(key, { pairs: labelNames.map((name, index) => [name, values[index]]), ...create() });
+                }
+                return series.get(key);
+            },
+            all: () => [...series.values()]
+        };
+    };
+
+    return {
+        counter({ name, help, labelNames = [] }) {
+            const series = seriesStore(labelNames, () => ({ value: 0 }));
+
+            return register({
+                name,
+                inc(labels, amount = 1) {
+                    series.get(labels).value += amount;
+                },
+                render: () => [
+                    `# HELP ${name} ${help}`,
+                    `# TYPE ${name} counter`,
+                    ...series.all().map(({ pairs, value }) => `${name}${formatLabels(pairs)} ${value}`)
+                ]
+            });
+        },
+
+        histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+            const series = seriesStore(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+
+            const observe = (labels, seconds) => {
+                const entry = series.get(labels);
+                buckets.forEach((bound, index) => {
+                    if (seconds <= bound) entry.counts[index] += 1;
+                });
+                entry.sum += seconds;
+                entry.count += 1;
+            };
+
+            return register({
+                name,
+                observe,
+
+                /**
+                 * Returns `end(extraLabels)`, which records the seconds since now
+                 */
+                startTimer(labels = {}) {
+                    const started = process.hrtime.bigint();
+                    return (extra = {}) => observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - started) / 1e9);
+                },
+
+                render: () => [
+                    `# HELP ${name} ${help}`,
+                    `# TYPE ${name} histogram`,
+                    ...series.all().flatMap(({ pairs, counts, sum, count }) => [
+                        ...buckets.map((bound, index) =>
+                            `${name}_bucket${formatLabels([...pairs, ['le', formatNumber(bound)]])} ${counts[index]}`),
+                        `${name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${count}`,
+                        `${name}_sum${formatLabels(pairs)} ${sum}`,
+                        `${name}_count${formatLabels(pairs)} ${count}`
+                    ])
+                ]
+            });
+        },
+
+        render() {
+            return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+        }
+    };
+}
+
+/**
+ * The process-wide registry and the metrics both servers record
+ */
+export const registry = createRegistry();
+
+export const httpRequests = registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route pattern and status code',
+    labelNames: ['method', 'route', 'status']
+});
+
+export const httpRequestDuration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request duration by method and route pattern',
+    labelNames: ['method', 'route']
+});
+
+export const formSubmissions = registry.counter({
+    name: 'form_submissions_total',
+    help: 'Form submissions by form and outcome (accepted, invalid, spam, error)',
+    labelNames: ['form', 'outcome']
+});
+
+export const mailSends = registry.counter({
+    name: 'mail_sends_total',
+    help: 'Email send attempts by label and outcome (success, failure, suppressed)',
+    labelNames: ['label', 'outcome']
+});
+
+export const vapiWebhookEvents = registry.counter({
+    name: 'vapi_webhook_events_total',
+    help: 'Webhook events received from Vapi by event type',
+    labelNames: ['type']
+});
+
+export const vapiApiDuration = registry.histogram({
+    name: 'vapi_api_request_duration_seconds',
+    help: 'Vapi API call duration by operation and outcome (success, error)',
+    labelNames: ['operation', 'outcome']
+});
+
+/**
+ * Outcome label for a failed send
+ */
+export const mailFailureOutcome = (error) => error && error.code === 'ESUPPRESSED' ? 'suppressed' : 'failure';
+
+// The matched route pattern, e.g. /api/admin/users/:id; never the raw path
+const routeLabel = (req) => {
+    if (req.route) return `${req.baseUrl}${[].concat(req.route.path).join('|')}`;
+    return req.baseUrl || 'unmatched';
+};
+
+/**
+ * Express middleware: count and time every request it sees
+ */
+export function httpMetrics() {
+    return (req, res, next) => {
+        const end = httpRequestDuration.startTimer({ method: req.method });
+
+        res.on('finish', () => {
+            const route = routeLabel(req);
+            httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            end({ route });
+        });
+
+        next();
+    };
+}
+
+/**
+ * Express middleware for a form route: count the submission once answered.
+ * The spam guard marks what it rejects in `res.locals.spamRejection`.
+ */
+export function countSubmissions(form) {
+    return (req, res, next) => {
+        res.on('finish', () => {
+            const outcome = res.locals.spamRejection ? 'spam'
+                : res.statusCode < 400 ? 'accepted'
+                    : res.statusCode < 500 ? 'invalid'
+                        : 'error';
+            formSubmissions.inc({ form, outcome });
+        });
+        next();
+    };
+}
+
+/**
+ * Time a Vapi API call, e.g. `timeVapi('calls.create', () => vapi.calls.create(...))`
+ */
+export async function timeVapi(operation, call) {
+    const end = vapiApiDuration.startTimer({ operation });
+    try {
+        const result = await call();
+        end({ outcome: 'success' });
+        return result;
+    } catch (error) {
+        end({ outcome: 'error' });
+        throw error;
+    }
+}
+
+/**
+ * Count a Vapi webhook event under its type
+ */
+export function countVapiEvent(type) {
+    vapiWebhookEvents.inc({ type: VAPI_EVENT_TYPES.includes(type) ? type : 'other' });
+}
+
+/**
+ * Route handler for GET /metrics
+ */
+export function metricsHandler(req, res) {
+    res.type(CONTENT_TYPE).send(registry.render());
+}
@@ -0,0 +1,103 @@
+/**
+ * Newsletter double opt-in
+ * New subscribers stay `pending` until they open the signed link emailed to
+ * them. Links and pending records expire after `confirmTtlHours`.
+ */
+
+const CONFIRM_PURPOSE = 'newsletter-confirm';
+
+export function createNewsletterService({ leads, suppression, tokens, templates, sendMail, baseUrl, confirmTtlHours = 48 }) {
+    const ttlSeconds = confirmTtlHours * 60 * 60;
+
+    return {
+        /**
+         * Save the subscriber as pending and email a confirmation link.
+         * Addresses that are already confirmed are left untouched. A failed
+         * send is reported as `confirmationError` rather than thrown.
+         */
+        async subscribe(details, options) {
+            const saved = await leads.saveSubscriber(details, options);
+
+            if (saved.status === 'confirmed') {
+                return { subscriber: saved, alreadyConfirmed: true, confirmationError: null };
+            }
+
+            const now = Date.now();
+            const subscriber = await leads.subscribers.update(saved.id, {
+                status: 'pending',
+                confirmationSentAt: new Date(now).toISOString(),
+                confirmationExpiresAt: new Date(now + ttlSeconds * 1000).toISOString()
+            });
+
+            const token = tokens.sign(CONFIRM_PURPOSE, subscriber.id, ttlSeconds);
+            const confirmUrl = `${baseUrl}/api/newsletter/confirm?token=${encodeURIComponent(token)}`;
+
+            try {
+                await sendMail({
+                    to: subscriber.email,
+                    ...templates.render('newsletter-confirm', { confirmUrl, confirmTtlHours }),
+                    transactional: true,
+                    listUnsubscribe: true
+                });
+            } catch (error) {
+                // The subscriber is stored; submitting again resends the link
+                return { subscriber, alreadyConfirmed: false, confirmationError: error };
+            }
+
+            return { subscriber, alreadyConfirmed: false, confirmationError: null };
+        },
+
+        /**
+         * Flip a pending subscriber to confirmed.
+         * Resolves to { outcome: 'confirmed' | 'already-confirmed' | 'invalid', subscriber }
+         */
+        async confirm(token) {
+            const subscriberId = tokens.verify(CONFIRM_PURPOSE, token);
+            const subscriber = subscriberId && leads.getSubscriber(subscriberId);
+
+            if (!subscriber) {
+                return { outcome: 'invalid', subscriber: null };
+            }
+
+            if (subscriber.status === 'confirmed') {
+                return { outcome: 'already-confirmed', subscriber };
+            }
+
+            if (subscriber.status !== 'pending') {
+                return { outcome: 'invalid', subscriber };
+            }
+
+            const confirmed = await leads.subscribers.update(subscriber.id, {
+                status: 'confirmed',
+                confirmedAt: new Date().toISOString(),
+                confirmationExpiresAt: null
+            });
+
+            // Confirming again is an explicit opt back in after an unsubscribe
+            const suppressed = suppression.get(subscriber.email);
+            if (suppressed && suppressed.reason === 'unsubscribe') {
+                await suppression.remove(subscriber.email);
+            }
+
+            return { outcome: 'confirmed', subscriber: confirmed };
+        },
+
+        /**
+         * Mark pending subscriptions whose link has lapsed as expired
+         */
+        async expirePending() {
+            const now = new Date().toISOString();
+            const lapsed = leads.subscribers.find(subscriber =>
+                subscriber.status === 'pending' &&
+                subscriber.confirmationExpiresAt &&
+                subscriber.confirmationExpiresAt < now
+            );
+
+            for (const subscriber of lapsed) {
+                await leads.subscribers.update(subscriber.id, { status: 'expired' });
+            }
+
+            return lapsed.length;
+        }
+    };
+}
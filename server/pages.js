@@ -0,0 +1,47 @@
+/**
+ * Minimal server-rendered pages for links opened from emails
+ */
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Render a single-card page; `form` adds a POST button ({ action, label })
+ */
+export function renderStatusPage({ title, message, success = true, form = null }) {
+    const accent = success ? '#10B981' : '#EF4444';
+    const formHtml = form ? `
+        <form method="POST" action="${escapeHtml(form.action)}">
+            <button type="submit">${escapeHtml(form.label)}</button>
+        </form>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - Retrospxt Holdings</title>
+    <style>
+        body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+               font-family: Arial, sans-serif; background: #0a1628; color: #e2e8f0; }
+        .card { max-width: 480px; margin: 1rem; padding: 2rem; border-radius: 16px;
+                background: rgba(255, 255, 255, 0.08); border-top: 4px solid ${accent}; }
+        h1 { margin-top: 0; font-size: 1.5rem; }
+        a { color: #00D4FF; }
+        button { padding: 0.75rem 1.5rem; border: none; border-radius: 8px; cursor: pointer;
+                 background: linear-gradient(135deg, #007BFF, #00D4FF); color: #ffffff; font-size: 1rem; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(message)}</p>${formHtml}
+        <p><a href="/">Return to Retrospxt Holdings</a></p>
+    </div>
+</body>
+</html>`;
+}
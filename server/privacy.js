@@ -0,0 +1,342 @@
+import crypto from 'crypto';
+import { normalizeEmail, queryRecords } from './leads.js';
+
+/**
+ * Data subject requests (GDPR / CCPA)
+ * Finds everything held about one person, by email address and/or phone
+ * number: leads, queued and dead-lettered mail, webhook and campaign delivery
+ * logs, consent records, and, when a Vapi key is configured, their calls stored at Vapi.
+ *
+ * - `exportData` returns it all as JSON
+ * - `erase` deletes contact records, queued mail and Vapi calls, anonymizes
+ *   what reporting still counts (consultations, delivery logs, consent
+ *   events), deletes their messages from the local outbox, then
+ *   compacts the files so the old values are gone from disk too.
+ *   Suppression entries are kept so the address is never mailed again.
+ *
+ * Every request is written to the audit log with the identifiers hashed
+ * (HMAC-SHA256 of the normalized value, keyed with the token secret), so the
+ * log can't be read back by hashing guessed addresses, but a later "did you
+ * handle my request?" can still be answered.
+ *
+ * Mail about someone but addressed to the team (form notifications) is found
+ * by the `dataSubject` the queue and the outbox record with each message.
+ *
+ * People can make requests themselves: `requestLink` emails a signed link to
+ * the address, which proves they own it before anything is shown or erased.
+ * Each link works once: redeeming it records its nonce (nothing else), and
+ * a used nonce is refused until the link would have expired anyway.
+ */
+
+export const PRIVACY_ACTIONS = ['export', 'erase'];
+
+const LINK_TTL_SECONDS = 24 * 60 * 60;
+
+const AUDIT_QUERY_OPTIONS = {
+    exactFields: ['action', 'via'],
+    searchFields: ['actor']
+};
+
+const EMAIL_PATTERN = /[^\s@<>"'(),;:]+@[^\s@<>"'(),;:]+\.[A-Za-z]{2,}/g;
+
+const phoneDigits = (value) => String(value || '').replace(/\D/g, '');
+
+// Numbers match when equal, or when one adds a country code to the other
+const samePhone = (a, b) => {
+    const left = phoneDigits(a);
+    const right = phoneDigits(b);
+    if (!left || !right) return false;
+    if (left === right) return true;
+
+    const [shorter, longer] = left.length < right.length ? [left, right] : [right, left];
+    return shorter.length >= 10 && longer.endsWith(shorter);
+};
+
+const addressesIn = (value) => (String(value || '').match(EMAIL_PATTERN) || []).map(normalizeEmail);
+
+// What an export includes from a Vapi call
+const exportCall = (call) => ({
+    id: call.id,
+    type: call.type,
+    status: call.status,
+    createdAt: call.createdAt,
+    startedAt: call.startedAt,
+    endedAt: call.endedAt,
+    endedReason: call.endedReason,
+    customer: call.customer,
+    transcript: call.transcript ?? call.artifact?.transcript,
+    summary: call.summary ?? call.analysis?.summary,
+    recordingUrl: call.recordingUrl ?? call.artifact?.recordingUrl
+});
+
+/**
+ * `vapiCalls`, when given, is `{ list(): Promise<call[]>, remove(id) }`;
+ * `outbox` is the outbox transport's store of saved messages, when in use;
+ * `hashSecret` keys the audit log's identifier hashes
+ */
+export function createPrivacyService({ store, tokens, templates, sendMail, baseUrl, hashSecret, vapiCalls = null, outbox = null }) {
+    const collections = {
+        members: store.collection('members'),
+        subscribers: store.collection('subscribers'),
+        consultations: store.collection('consultations'),
+        suppressions: store.collection('suppressions'),
+        mailQueue: store.collection('mail-queue'),
+        deadLetters: store.collection('mail-dead-letters'),
+        webhookDeliveries: store.collection('webhook-deliveries'),
+        campaignDeliveries: store.collection('campaign-deliveries'),
+        consents: store.collection('consents')
+    };
+    const audit = store.collection('privacy-audit');
+    const usedLinks = store.collection('privacy-links');
+    const redeeming = new Set();
+
+    const purposeFor = (action) => `privacy-${action}`;
+
+    const hashIdentifier = (value) => value ? crypto.createHmac('sha256', hashSecret).update(value).digest('hex') : null;
+
+    const normalize = ({ email, phone } = {}) => ({
+        email: email ? normalizeEmail(email) : null,
+        phone: phoneDigits(phone) ? String(phone).trim() : null
+    });
+
+    /**
+     * Every local record held about the subject, by collection
+     */
+    const findLocal = ({ email, phone }) => {
+        const matchesPerson = (record) => Boolean(record) &&
+            ((email && normalizeEmail(record.email || '') === email) || (phone && samePhone(record.phone, phone)));
+        const mailFor = (message) => Boolean(email) &&
+            (addressesIn(message.to).includes(email) || addressesIn(message.dataSubject).includes(email));
+
+        return {
+            members: collections.members.find(matchesPerson),
+            subscribers: collections.subscribers.find(matchesPerson),
+            consultations: collections.consultations.find(matchesPerson),
+            suppressions: collections.suppressions.find(matchesPerson),
+            mailQueue: collections.mailQueue.find(mailFor),
+            deadLetters: collections.deadLetters.find(mailFor),
+            webhookDeliveries: collections.webhookDeliveries.find(delivery => matchesPerson(delivery.payload && delivery.payload.data)),
+            campaignDeliveries: collections.campaignDeliveries.find(matchesPerson),
+            consents: collections.consents.find(matchesPerson)
+        };
+    };
+
+    /**
+     * Calls at Vapi for any of the subject's numbers, including numbers
+     * they gave in a consultation request
+     */
+    const findCalls = async (identifiers, local) => {
+        if (!vapiCalls) return { calls: [], error: null, checked: false };
+
+        const phones = [identifiers.phone, ...local.consultations.map(consultation => consultation.phone)].filter(Boolean);
+        if (phones.length === 0) return { calls: [], error: null, checked: true };
+
+        try {
+            const calls = await vapiCalls.list();
+            return {
+                calls: calls.filter(call => phones.some(phone => samePhone(call.customer && call.customer.number, phone))),
+                error: null,
+                checked: true
+            };
+        } catch (error) {
+            return { calls: [], error: error.message || String(error), checked: true };
+        }
+    };
+
+    /**
+     * Messages the outbox transport saved for the subject's address
+     */
+    const findOutbox = async ({ email }) => {
+        if (!outbox || !email) return [];
+        return (await outbox.list()).filter(message =>
+            addressesIn((message.envelope.to || []).join(', ')).includes(email) || addressesIn(message.dataSubject).includes(email));
+    };
+
+    const recordAudit = (action, identifiers, { actor, via }, details) => audit.insert({
+        action,
+        via,
+        actor,
+        emailHash: hashIdentifier(identifiers.email),
+        phoneHash: hashIdentifier(phoneDigits(identifiers.phone)),
+        ...details
+    });
+
+    const counts = (local) => Object.fromEntries(Object.entries(local).map(([name, records]) => [name, records.length]));
+
+    const exportData = async (subject, { actor = null, via = 'admin' } = {}) => {
+        const identifiers = normalize(subject);
+        const local = findLocal(identifiers);
+        const outboxMessages = await findOutbox(identifiers);
+        const vapi = await findCalls(identifiers, local);
+
+        const auditEntry = await recordAudit('export', identifiers, { actor, via }, {
+            counts: { ...counts(local), outbox: outboxMessages.length, vapiCalls: vapi.calls.length },
+            vapiError: vapi.error
+        });
+
+        return {
+            generatedAt: new Date().toISOString(),
+            auditId: auditEntry.id,
+            subject: identifiers,
+            records: { ...local, outbox: outboxMessages },
+            vapiCalls: vapi.calls.map(exportCall),
+            vapiChecked: vapi.checked,
+            vapiError: vapi.error
+        };
+    };
+
+    const erase = async (subject, { actor = null, via = 'admin' } = {}) => {
+        const identifiers = normalize(subject);
+        const local = findLocal(identifiers);
+        const outboxMessages = await findOutbox(identifiers);
+        const vapi = await findCalls(identifiers, local);
+        const now = new Date().toISOString();
+
+        const removeAll = async (collection, records) => {
+            for (const record of records) await collection.remove(record.id);
+        };
+
+        await removeAll(collections.members, local.members);
+        await removeAll(collections.subscribers, local.subscribers);
+        await removeAll(collections.mailQueue, local.mailQueue);
+        await removeAll(collections.deadLetters, local.deadLetters);
+
+        // Kept for reporting, without anything that identifies the person
+        for (const consultation of local.consultations) {
+            await collections.consultations.update(consultation.id, {
+                name: null, email: null, company: null, phone: null, message: null, erasedAt: now
+            });
+        }
+        for (const delivery of local.webhookDeliveries) {
+            await collections.webhookDeliveries.update(delivery.id, {
+                payload: { ...delivery.payload, data: { id: delivery.payload.data.id ?? null, erased: true } }
+            });
+        }
+        for (const delivery of local.campaignDeliveries) {
+            await collections.campaignDeliveries.update(delivery.id, { email: null, erasedAt: now });
+        }
+        for (const consent of local.consents) {
+            await collections.consents.update(consent.id, { email: null, pageUrl: null, erasedAt: now });
+        }
+
+        for (const message of outboxMessages) {
+            await outbox.remove(message.id);
+        }
+
+        let vapiError = vapi.error;
+        let vapiDeleted = 0;
+        for (const call of vapi.calls) {
+            try {
+                await vapiCalls.remove(call.id);
+                vapiDeleted += 1;
+            } catch (error) {
+                vapiError = `Call ${call.id} could not be deleted: ${error.message || error}`;
+            }
+        }
+
+        // Collections are append-only logs: rewrite them so neither these
+        // changes nor earlier history (e.g. mail sent long ago) keep old values
+        for (const [name, collection] of Object.entries(collections)) {
+            if (name !== 'suppressions') await collection.compact();
+        }
+
+        const { suppressions, ...erased } = counts(local);
+        const result = {
+            erased: { ...erased, outbox: outboxMessages.length, vapiCalls: vapiDeleted },
+            retained: { suppressions },
+            complete: !vapiError,
+            vapiChecked: vapi.checked,
+            vapiError
+        };
+
+        const auditEntry = await recordAudit('erase', identifiers, { actor, via }, {
+            counts: result.erased,
+            retained: result.retained,
+            vapiError
+        });
+
+        return { auditId: auditEntry.id, ...result };
+    };
+
+    return {
+        audit,
+        exportData,
+        erase,
+
+        /**
+         * True when anything at all is held for the subject locally
+         */
+        holdsData(subject) {
+            return Object.values(findLocal(normalize(subject))).some(records => records.length > 0);
+        },
+
+        /**
+         * Email a signed link for `action` to the address, only if we hold
+         * data for it. Callers should answer the same way either way, so the
+         * response doesn't reveal who is on file.
+         */
+        async requestLink(email, action) {
+            if (!PRIVACY_ACTIONS.includes(action)) throw new RangeError(`Action must be one of: ${PRIVACY_ACTIONS.join(', ')}`);
+
+            const normalized = normalizeEmail(email);
+            if (!this.holdsData({ email: normalized })) return false;
+
+            const nonce = crypto.randomBytes(16).toString('hex');
+            const token = tokens.sign(purposeFor(action), { email: normalized, nonce }, LINK_TTL_SECONDS);
+            await sendMail({
+                to: normalized,
+                ...templates.render('privacy-request', {
+                    confirmUrl: `${baseUrl}/api/privacy/confirm?token=${encodeURIComponent(token)}`,
+                    isExport: action === 'export',
+                    linkTtlHours: LINK_TTL_SECONDS / 3600
+                }),
+                transactional: true
+            });
+            return true;
+        },
+
+        /**
+         * Resolve a link token to `{ action, email, nonce }`, or null when it
+         * is invalid, expired or already used. Doesn't use it up.
+         */
+        resolveLink(token) {
+            for (const action of PRIVACY_ACTIONS) {
+                const subject = tokens.verify(purposeFor(action), token);
+                if (!subject || typeof subject.email !== 'string' || typeof subject.nonce !== 'string') continue;
+
+                const used = redeeming.has(subject.nonce) || usedLinks.findOne(link => link.nonce === subject.nonce);
+                return used ? null : { action, email: subject.email, nonce: subject.nonce };
+            }
+            return null;
+        },
+
+        /**
+         * Resolve a link token and use it up, so it can't be redeemed again
+         */
+        async redeemLink(token) {
+            const request = this.resolveLink(token);
+            if (!request) return null;
+
+            // Claimed before the first await, so concurrent redemptions can't both pass
+            redeeming.add(request.nonce);
+            try {
+                const now = new Date();
+                for (const link of usedLinks.find(link => link.expiresAt < now.toISOString())) {
+                    await usedLinks.remove(link.id);
+                }
+                await usedLinks.insert({
+                    nonce: request.nonce,
+                    expiresAt: new Date(now.getTime() + LINK_TTL_SECONDS * 1000).toISOString()
+                });
+            } finally {
+                redeeming.delete(request.nonce);
+            }
+
+            return { action: request.action, email: request.email };
+        },
+
+        listAudit(query) {
+            return queryRecords(audit.all(), query, AUDIT_QUERY_OPTIONS);
+        }
+    };
+}
@@ -0,0 +1,153 @@
+import express from 'express';
+import { ROLES } from '../accounts.js';
+import { validateFields } from '../validation.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'accounts' });
+
+/**
+ * Account API (admin role)
+ * Manage dashboard users and API keys. A new key is shown once, in the
+ * response that creates it.
+ */
+
+const MIN_PASSWORD_LENGTH = 12;
+
+export function createAccountsRouter({ accounts }) {
+    const router = express.Router();
+
+    const invalid = (res, errors) => res.status(400).json({
+        success: false,
+        message: 'Please correct the highlighted fields.',
+        errors
+    });
+
+    const checkRole = (errors, role) => {
+        if (role !== undefined && !ROLES.includes(role)) {
+            errors.role = `Role must be one of: ${ROLES.join(', ')}`;
+        }
+    };
+
+    const listOrRangeError = (list) => (req, res) => {
+        try {
+            res.json({ success: true, ...list(req.query) });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+    };
+
+    // Never leave the dashboard without an active admin
+    const isLastAdmin = (user) => user.role === 'admin' && !user.disabled &&
+        accounts.users.find(other => other.role === 'admin' && !other.disabled).length === 1;
+
+    /**
+     * Users
+     */
+    router.get('/users', listOrRangeError(query => accounts.listUsers(query)));
+
+    router.post('/users', async (req, res) => {
+        const { email, name, role = 'viewer', password } = req.body;
+
+        const errors = validateFields(req.body, {
+            email: 'required,email',
+            password: `required,minLength:${MIN_PASSWORD_LENGTH}`
+        });
+        checkRole(errors, role);
+        if (!errors.email && accounts.findUserByEmail(email)) {
+            errors.email = 'A user with this email already exists';
+        }
+        if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+        const user = await accounts.createUser({ email, name, role, password: String(password) });
+        log.info('User created', { userId: user.id, role, by: req.principal && req.principal.id });
+        res.status(201).json({ success: true, user: accounts.publicUser(user) });
+    });
+
+    router.get('/users/:id', (req, res) => {
+        const user = accounts.getUser(req.params.id);
+        if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+        res.json({ success: true, user: accounts.publicUser(user) });
+    });
+
+    router.patch('/users/:id', async (req, res) => {
+        const user = accounts.getUser(req.params.id);
+        if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+        const { name, role, password, disabled } = req.body;
+        const errors = validateFields(req.body, { password: `minLength:${MIN_PASSWORD_LENGTH}` });
+        checkRole(errors, role);
+        if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+        const demoting = (role !== undefined && role !== 'admin') || disabled === true || disabled === 'true';
+        if (demoting && isLastAdmin(user)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This is the only active admin. Add another admin first.'
+            });
+        }
+
+        const updated = await accounts.updateUser(req.params.id, {
+            name,
+            role,
+            password: password ? String(password) : undefined,
+            disabled
+        });
+        res.json({ success: true, user: accounts.publicUser(updated) });
+    });
+
+    router.delete('/users/:id', async (req, res) => {
+        const user = accounts.getUser(req.params.id);
+        if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+        if (isLastAdmin(user)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This is the only active admin. Add another admin first.'
+            });
+        }
+
+        await accounts.removeUser(req.params.id);
+        log.info('User removed', { userId: user.id, by: req.principal && req.principal.id });
+        res.json({ success: true });
+    });
+
+    /**
+     * API keys
+     */
+    router.get('/api-keys', listOrRangeError(query => accounts.listApiKeys(query)));
+
+    router.post('/api-keys', async (req, res) => {
+        const { name, role = 'viewer' } = req.body;
+
+        const errors = validateFields(req.body, { name: 'required,maxLength:100' });
+        checkRole(errors, role);
+        if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+        const { apiKey, key } = await accounts.createApiKey({
+            name,
+            role,
+            createdBy: req.principal ? req.principal.id : null
+        });
+        log.info('API key created', { apiKeyId: apiKey.id, prefix: apiKey.prefix, role, by: req.principal && req.principal.id });
+
+        res.status(201).json({
+            success: true,
+            apiKey,
+            key,
+            message: 'Store this key now; it will not be shown again.'
+        });
+    });
+
+    router.delete('/api-keys/:id', async (req, res) => {
+        const apiKey = await accounts.revokeApiKey(req.params.id);
+        if (!apiKey) return res.status(404).json({ success: false, message: 'API key not found.' });
+
+        log.info('API key revoked', { apiKeyId: apiKey.id, prefix: apiKey.prefix, by: req.principal && req.principal.id });
+        res.json({ success: true, apiKey: accounts.publicKey(apiKey) });
+    });
+
+    return router;
+}
@@ -0,0 +1,72 @@
+import express from 'express';
+import { normalizeEmail } from '../leads.js';
+import { RateLimiter } from '../spam-guard.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'auth' });
+
+/**
+ * Session API
+ * Email/password sign-in for the admin dashboard. The session token lives in
+ * an HttpOnly cookie; API clients use keys instead.
+ */
+export function createAuthRouter({ accounts, auth, loginLimit = { windowMs: 15 * 60 * 1000, max: 5 } }) {
+    const router = express.Router();
+    const ipLimiter = new RateLimiter({ ...loginLimit, max: loginLimit.max * 4 });
+    const emailLimiter = new RateLimiter(loginLimit);
+
+    const tooMany = (res, retryAfterSeconds) => {
+        res.set('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({
+            success: false,
+            message: 'Too many sign-in attempts. Please try again later.'
+        });
+    };
+
+    router.post('/login', async (req, res) => {
+        const { email, password } = req.body || {};
+
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email and password are required.'
+            });
+        }
+
+        const ipCheck = ipLimiter.hit(req.ip);
+        if (!ipCheck.allowed) return tooMany(res, ipCheck.retryAfterSeconds);
+
+        const emailCheck = emailLimiter.hit(normalizeEmail(email));
+        if (!emailCheck.allowed) return tooMany(res, emailCheck.retryAfterSeconds);
+
+        const session = await accounts.login(email, String(password));
+        if (!session) {
+            log.warn('Failed sign-in');
+            return res.status(401).json({
+                success: false,
+                message: 'Incorrect email or password.'
+            });
+        }
+
+        auth.setSessionCookie(res, session.token, session.expiresAt);
+        log.info('Signed in', { userId: session.user.id });
+
+        res.json({ success: true, user: session.user, expiresAt: session.expiresAt });
+    });
+
+    router.post('/logout', async (req, res) => {
+        await accounts.logout(auth.sessionToken(req));
+        auth.clearSessionCookie(res);
+        res.json({ success: true });
+    });
+
+    // Who the current credentials belong to
+    router.get('/session', (req, res) => {
+        if (!req.principal) {
+            return res.status(401).json({ success: false, message: 'Not signed in.' });
+        }
+        res.json({ success: true, principal: req.principal });
+    });
+
+    return router;
+}
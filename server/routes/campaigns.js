@@ -0,0 +1,134 @@
+import express from 'express';
+import { CampaignStateError } from '../campaigns.js';
+import { validateFields } from '../validation.js';
+
+/**
+ * Campaign API
+ * Author newsletter issues, preview and test them, then send to confirmed
+ * subscribers and follow the per-recipient progress
+ */
+export function createCampaignsRouter({ campaigns, segments }) {
+    const router = express.Router();
+
+    const notFound = (res) => res.status(404).json({ success: false, message: 'Campaign not found.' });
+
+    const invalid = (res, errors) => res.status(400).json({
+        success: false,
+        message: 'Please correct the highlighted fields.',
+        errors
+    });
+
+    // Map service errors onto responses; anything else is a 500
+    const handle = (action) => async (req, res) => {
+        try {
+            await action(req, res);
+        } catch (error) {
+            if (error instanceof CampaignStateError) {
+                return res.status(409).json({ success: false, message: error.message });
+            }
+            if (error instanceof RangeError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+    };
+
+    const withProgress = (campaign) => ({ ...campaign, progress: campaigns.progress(campaign.id) });
+
+    const unknownSegment = (segmentId) => segmentId && !segments.get(segmentId)
+        ? { segmentId: 'Unknown segment' }
+        : {};
+
+    router.get('/campaigns', handle((req, res) => {
+        const result = campaigns.list(req.query);
+        res.json({ success: true, ...result, items: result.items.map(withProgress) });
+    }));
+
+    router.post('/campaigns', handle(async (req, res) => {
+        const errors = validateFields(req.body, {
+            title: 'required,maxLength:200',
+            subject: 'required,maxLength:200',
+            markdown: 'required'
+        });
+        Object.assign(errors, unknownSegment(req.body.segmentId));
+        if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+        const campaign = await campaigns.create(req.body);
+        res.status(201).json({ success: true, campaign: withProgress(campaign) });
+    }));
+
+    router.get('/campaigns/:id', handle((req, res) => {
+        const campaign = campaigns.get(req.params.id);
+        if (!campaign) return notFound(res);
+        res.json({ success: true, campaign: withProgress(campaign) });
+    }));
+
+    router.patch('/campaigns/:id', handle(async (req, res) => {
+        const errors = validateFields(req.body, {
+            title: 'maxLength:200',
+            subject: 'maxLength:200'
+        });
+        Object.assign(errors, unknownSegment(req.body.segmentId));
+        if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+        const campaign = await campaigns.update(req.params.id, req.body);
+        if (!campaign) return notFound(res);
+        res.json({ success: true, campaign: withProgress(campaign) });
+    }));
+
+    router.delete('/campaigns/:id', handle(async (req, res) => {
+        const removed = await campaigns.remove(req.params.id);
+        if (!removed) return notFound(res);
+        res.json({ success: true });
+    }));
+
+    // Rendered issue; ?format=text for the plain-text part
+    router.get('/campaigns/:id/preview', handle((req, res) => {
+        const preview = campaigns.preview(req.params.id);
+        if (!preview) return notFound(res);
+
+        if (req.query.format === 'text') {
+            return res.type('text/plain').send(preview.text);
+        }
+        res.type('html').send(preview.html);
+    }));
+
+    router.post('/campaigns/:id/test', handle(async (req, res) => {
+        const errors = validateFields(req.body, { email: 'required,email' });
+        if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+        try {
+            const info = await campaigns.sendTest(req.params.id, req.body.email);
+            if (!info) return notFound(res);
+        } catch (error) {
+            return res.status(502).json({ success: false, message: `Test email failed: ${error.message}` });
+        }
+
+        res.json({ success: true, message: `Test email sent to ${req.body.email}.` });
+    }));
+
+    router.post('/campaigns/:id/send', handle(async (req, res) => {
+        const campaign = await campaigns.send(req.params.id);
+        if (!campaign) return notFound(res);
+        res.status(202).json({ success: true, campaign: withProgress(campaign) });
+    }));
+
+    router.post('/campaigns/:id/pause', handle(async (req, res) => {
+        const campaign = await campaigns.pause(req.params.id);
+        if (!campaign) return notFound(res);
+        res.json({ success: true, campaign: withProgress(campaign) });
+    }));
+
+    router.post('/campaigns/:id/retry-failed', handle(async (req, res) => {
+        const campaign = await campaigns.retryFailed(req.params.id);
+        if (!campaign) return notFound(res);
+        res.status(202).json({ success: true, campaign: withProgress(campaign) });
+    }));
+
+    router.get('/campaigns/:id/deliveries', handle((req, res) => {
+        if (!campaigns.get(req.params.id)) return notFound(res);
+        res.json({ success: true, ...campaigns.listDeliveries(req.params.id, req.query) });
+    }));
+
+    return router;
+}
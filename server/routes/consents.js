@@ -0,0 +1,57 @@
+import express from 'express';
+import { validateFields } from '../validation.js';
+
+/**
+ * Consent records API
+ * Query consent events, see one contact's history and current consent per
+ * purpose, and record a withdrawal received outside the site (which also
+ * unsubscribes the address).
+ */
+export function createConsentsRouter({ consentLog, unsubscribe, webhooks }) {
+    const router = express.Router();
+
+    router.get('/consents', (req, res) => {
+        try {
+            res.json({ success: true, ...consentLog.list(req.query) });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+    });
+
+    router.get('/consents/:email', (req, res) => {
+        const history = consentLog.historyFor(req.params.email);
+        if (history.events.length === 0) {
+            return res.status(404).json({ success: false, message: 'No consent records for this address.' });
+        }
+        res.json({ success: true, ...history });
+    });
+
+    router.post('/consents/:email/withdraw', async (req, res) => {
+        const { note } = req.body || {};
+        const errors = validateFields(
+            { email: req.params.email, note },
+            { email: 'required,email,maxLength:254', note: 'maxLength:500' }
+        );
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please correct the highlighted fields.',
+                errors
+            });
+        }
+
+        const email = await unsubscribe.unsubscribeAddress(req.params.email, {
+            source: 'admin',
+            actor: req.principal ? `${req.principal.type}:${req.principal.id}` : null,
+            note: note || null
+        });
+        await webhooks.emit('newsletter.unsubscribed', { email, source: 'admin' });
+
+        res.status(201).json({ success: true, ...consentLog.historyFor(email) });
+    });
+
+    return router;
+}
@@ -0,0 +1,105 @@
+import express from 'express';
+import { filterRecords, MEMBER_QUERY_OPTIONS, SUBSCRIBER_QUERY_OPTIONS } from '../leads.js';
+import { formatCsvRow } from '../csv.js';
+
+/**
+ * CSV export and import of community members and newsletter subscribers
+ */
+
+const EXPORTS = {
+    members: {
+        collection: (leads) => leads.members,
+        options: MEMBER_QUERY_OPTIONS,
+        columns: ['id', 'name', 'email', 'company', 'businessSize', 'aiExperience', 'newsletterOptIn', 'source', 'createdAt', 'updatedAt']
+    },
+    subscribers: {
+        collection: (leads) => leads.subscribers,
+        options: SUBSCRIBER_QUERY_OPTIONS,
+        columns: ['id', 'name', 'email', 'company', 'status', 'source', 'confirmedAt', 'unsubscribedAt', 'createdAt', 'updatedAt']
+    }
+};
+
+export function createCsvRouter({ leads, segments, importer }) {
+    const router = express.Router();
+
+    const csvBody = express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '5mb' });
+
+    /**
+     * Stream records as CSV, respecting backpressure on large exports
+     */
+    const streamCsv = async (res, filename, columns, records) => {
+        const date = new Date().toISOString().slice(0, 10);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}-${date}.csv"`);
+
+        res.write(formatCsvRow(columns));
+        for (const record of records) {
+            if (!res.write(formatCsvRow(columns.map(column => record[column])))) {
+                await new Promise(resolve => res.once('drain', resolve));
+            }
+        }
+        res.end();
+    };
+
+    for (const [type, { collection, options, columns }] of Object.entries(EXPORTS)) {
+        // Same filters as the list API; ?segment=<id> exports a segment's matches
+        router.get(`/${type}.csv`, async (req, res) => {
+            let records;
+
+            try {
+                if (req.query.segment) {
+                    const segment = segments.get(req.query.segment);
+                    if (!segment) {
+                        return res.status(404).json({ success: false, message: 'Segment not found.' });
+                    }
+                    if (segment.source !== type) {
+                        return res.status(400).json({ success: false, message: `That segment selects ${segment.source}, not ${type}.` });
+                    }
+                    records = filterRecords(segments.matches(segment), req.query, options);
+                } else {
+                    records = filterRecords(collection(leads).all(), req.query, options);
+                }
+            } catch (error) {
+                if (error instanceof RangeError) {
+                    return res.status(400).json({ success: false, message: error.message });
+                }
+                throw error;
+            }
+
+            await streamCsv(res, type, columns, records);
+        });
+    }
+
+    const importRoute = (run) => async (req, res) => {
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Send the CSV as the request body with Content-Type: text/csv.'
+            });
+        }
+
+        try {
+            const report = await run(req.body, {
+                source: req.query.source || 'import',
+                dryRun: req.query.dryRun === 'true'
+            }, req.query);
+
+            res.json({ success: true, dryRun: req.query.dryRun === 'true', ...report });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+    };
+
+    router.post('/members/import', csvBody, importRoute((text, options) =>
+        importer.importMembers(text, options)
+    ));
+
+    router.post('/subscribers/import', csvBody, importRoute((text, options, query) =>
+        importer.importSubscribers(text, { ...options, status: query.status || 'confirmed' })
+    ));
+
+    return router;
+}
@@ -0,0 +1,40 @@
+import express from 'express';
+
+/**
+ * Lead query API
+ * Read access to stored community members, newsletter subscribers and
+ * consultation requests
+ */
+export function createLeadsRouter({ leads }) {
+    const router = express.Router();
+
+    const list = (fetch) => (req, res) => {
+        try {
+            res.json({ success: true, ...fetch(req.query) });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+    };
+
+    const detail = (fetch, label) => (req, res) => {
+        const record = fetch(req.params.id);
+        if (!record) {
+            return res.status(404).json({ success: false, message: `${label} not found.` });
+        }
+        res.json({ success: true, [label.toLowerCase()]: record });
+    };
+
+    router.get('/members', list(query => leads.listMembers(query)));
+    router.get('/members/:id', detail(id => leads.getMember(id), 'Member'));
+
+    router.get('/subscribers', list(query => leads.listSubscribers(query)));
+    router.get('/subscribers/:id', detail(id => leads.getSubscriber(id), 'Subscriber'));
+
+    router.get('/consultations', list(query => leads.listConsultations(query)));
+    router.get('/consultations/:id', detail(id => leads.getConsultation(id), 'Consultation'));
+
+    return router;
+}
@@ -0,0 +1,60 @@
+import express from 'express';
+
+/**
+ * Mail queue API
+ * Inspect queued messages and dead letters, and re-drive or discard the
+ * dead letters
+ */
+export function createMailQueueRouter({ mailQueue }) {
+    const router = express.Router();
+
+    const list = (fetch) => (req, res) => {
+        try {
+            res.json({ success: true, ...fetch(req.query) });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+    };
+
+    const notFound = (res) => res.status(404).json({ success: false, message: 'Dead letter not found.' });
+
+    router.get('/mail/queue', list(query => mailQueue.listQueued(query)));
+
+    router.get('/mail/dead-letters', list(query => mailQueue.listDeadLetters(query)));
+
+    router.get('/mail/dead-letters/:id', (req, res) => {
+        const deadLetter = mailQueue.getDeadLetter(req.params.id);
+        if (!deadLetter) return notFound(res);
+        res.json({ success: true, deadLetter });
+    });
+
+    // Re-drive every dead letter (optionally filtered, e.g. ?label=Welcome)
+    router.post('/mail/dead-letters/redrive', async (req, res) => {
+        try {
+            const queued = await mailQueue.redriveAll(req.query);
+            res.json({ success: true, redriven: queued.length, queued });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+    });
+
+    router.post('/mail/dead-letters/:id/redrive', async (req, res) => {
+        const queued = await mailQueue.redrive(req.params.id);
+        if (!queued) return notFound(res);
+        res.json({ success: true, queued });
+    });
+
+    router.delete('/mail/dead-letters/:id', async (req, res) => {
+        const removed = await mailQueue.discard(req.params.id);
+        if (!removed) return notFound(res);
+        res.json({ success: true });
+    });
+
+    return router;
+}
@@ -0,0 +1,126 @@
+import express from 'express';
+import { escapeHtml } from '../template-engine.js';
+
+/**
+ * Outbox pages (mounted at /dev/outbox)
+ * Browse what the outbox transport saved instead of sending: a list, each
+ * message with its headers, rendered HTML and text, and the raw message.
+ * The list and message pages answer JSON to clients that ask for it.
+ */
+
+const STYLE = `
+        body { margin: 0; padding: 2rem; font-family: Arial, sans-serif; background: #0a1628; color: #e2e8f0; }
+        a { color: #00D4FF; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { padding: 0.5rem; text-align: left; border-bottom: 1px solid rgba(255, 255, 255, 0.1); vertical-align: top; }
+        dt { font-weight: bold; margin-top: 0.5rem; }
+        dd { margin-left: 0; }
+        iframe { width: 100%; height: 70vh; border: none; border-radius: 8px; background: #ffffff; }
+        pre { white-space: pre-wrap; padding: 1rem; border-radius: 8px; background: rgba(255, 255, 255, 0.08); }
+        button { padding: 0.5rem 1rem; border: none; border-radius: 8px; cursor: pointer;
+                 background: linear-gradient(135deg, #007BFF, #00D4FF); color: #ffffff; }`;
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - Outbox</title>
+    <style>${STYLE}
+    </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+const recipients = (message) => (message.envelope.to || []).join(', ');
+
+const renderList = (messages) => page('Outbox', `
+    <h1>Outbox</h1>
+    <p>${messages.length} message(s), newest first. Nothing here was sent. <a href="/dev/outbox">Refresh</a></p>
+    <form method="POST" action="/dev/outbox/clear"><button type="submit">Clear the outbox</button></form>
+    <table>
+        <tr><th>Saved</th><th>To</th><th>Subject</th></tr>
+        ${messages.map(message => `<tr>
+            <td>${escapeHtml(message.savedAt)}</td>
+            <td>${escapeHtml(recipients(message))}</td>
+            <td><a href="/dev/outbox/${escapeHtml(message.id)}">${escapeHtml(message.subject || '(no subject)')}</a></td>
+        </tr>`).join('\n        ')}
+    </table>`);
+
+const renderMessage = (message) => page(message.subject || '(no subject)', `
+    <p><a href="/dev/outbox">&larr; Outbox</a></p>
+    <h1>${escapeHtml(message.subject || '(no subject)')}</h1>
+    <dl>
+        <dt>From</dt><dd>${escapeHtml(message.envelope.from || '')}</dd>
+        <dt>To</dt><dd>${escapeHtml(recipients(message))}</dd>
+        <dt>Saved</dt><dd>${escapeHtml(message.savedAt)}</dd>
+        <dt>Message-ID</dt><dd>${escapeHtml(message.messageId)}</dd>
+        ${message.listUnsubscribe ? `<dt>List-Unsubscribe</dt><dd>${escapeHtml(message.listUnsubscribe)}</dd>` : ''}
+        ${message.attachments.length ? `<dt>Attachments</dt><dd>${escapeHtml(message.attachments.map(a => a.filename || a.contentType || 'unnamed').join(', '))}</dd>` : ''}
+    </dl>
+    <p><a href="/dev/outbox/${escapeHtml(message.id)}/raw">Download the raw message (.eml)</a></p>
+    ${message.html !== null ? `<h2>HTML</h2>
+    <iframe sandbox src="/dev/outbox/${escapeHtml(message.id)}/html" title="HTML body"></iframe>` : ''}
+    ${message.text !== null ? `<h2>Text</h2>
+    <pre>${escapeHtml(message.text)}</pre>` : ''}`);
+
+export function createOutboxRouter({ outbox }) {
+    const router = express.Router();
+
+    const wantsJson = (req) => req.accepts(['html', 'json']) === 'json';
+
+    const notFound = (req, res) => {
+        if (wantsJson(req)) {
+            return res.status(404).json({ success: false, message: 'Message not found.' });
+        }
+        res.status(404).send(page('Not found', '<h1>Message not found</h1><p><a href="/dev/outbox">&larr; Outbox</a></p>'));
+    };
+
+    router.get('/', async (req, res) => {
+        const messages = await outbox.list();
+        if (wantsJson(req)) {
+            return res.json({ success: true, messages });
+        }
+        res.send(renderList(messages));
+    });
+
+    router.post('/clear', async (req, res) => {
+        const removed = await outbox.clear();
+        if (wantsJson(req)) {
+            return res.json({ success: true, removed });
+        }
+        res.redirect(303, '/dev/outbox');
+    });
+
+    router.get('/:id', async (req, res) => {
+        const message = await outbox.get(req.params.id);
+        if (!message) return notFound(req, res);
+
+        if (wantsJson(req)) {
+            return res.json({ success: true, message });
+        }
+        res.send(renderMessage(message));
+    });
+
+    // The message's own HTML, shown in a sandboxed frame: no scripts, and
+    // only images and inline styles load
+    router.get('/:id/html', async (req, res) => {
+        const message = await outbox.get(req.params.id);
+        if (!message || message.html === null) return notFound(req, res);
+
+        res.set('Content-Security-Policy', "sandbox; default-src 'none'; img-src * data:; style-src 'unsafe-inline'");
+        res.type('html').send(message.html);
+    });
+
+    router.get('/:id/raw', async (req, res) => {
+        const raw = await outbox.raw(req.params.id);
+        if (!raw) return notFound(req, res);
+
+        res.set('Content-Disposition', `attachment; filename="${req.params.id}.eml"`);
+        res.type('message/rfc822').send(raw);
+    });
+
+    return router;
+}
@@ -0,0 +1,66 @@
+import express from 'express';
+import { validateFields } from '../validation.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'privacy' });
+
+const SUBJECT_FIELDS = { email: 'email,maxLength:254', phone: 'phone' };
+
+/**
+ * Data subject requests API (admin role)
+ * Export or erase everything held about a person, found by `email` and/or
+ * `phone`, and list the audit log of past requests.
+ */
+export function createPrivacyRouter({ privacy }) {
+    const router = express.Router();
+
+    const actorFor = (req) => req.principal ? `${req.principal.type}:${req.principal.id}` : null;
+
+    // Both identifiers are optional, but a request needs at least one
+    const subjectErrors = (subject) => {
+        const errors = validateFields(subject, SUBJECT_FIELDS);
+        if (!subject.email && !subject.phone) {
+            errors.email = 'Provide an email address or phone number';
+        }
+        return errors;
+    };
+
+    const withSubject = (source, handler) => async (req, res) => {
+        const { email, phone } = req[source] || {};
+        const subject = { email, phone };
+        const errors = subjectErrors(subject);
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please correct the highlighted fields.',
+                errors
+            });
+        }
+        await handler(req, res, subject);
+    };
+
+    router.get('/privacy/export', withSubject('query', async (req, res, subject) => {
+        const data = await privacy.exportData(subject, { actor: actorFor(req), via: 'admin' });
+        log.info('Data export served', { auditId: data.auditId, by: actorFor(req) });
+        res.json({ success: true, data });
+    }));
+
+    router.post('/privacy/erase', withSubject('body', async (req, res, subject) => {
+        const result = await privacy.erase(subject, { actor: actorFor(req), via: 'admin' });
+        log.info('Data erased', { auditId: result.auditId, complete: result.complete, by: actorFor(req) });
+        res.json({ success: true, ...result });
+    }));
+
+    router.get('/privacy/audit', (req, res) => {
+        try {
+            res.json({ success: true, ...privacy.listAudit(req.query) });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+    });
+
+    return router;
+}
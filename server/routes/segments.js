@@ -0,0 +1,104 @@
+import express from 'express';
+import { validateSegment } from '../segments.js';
+
+/**
+ * Segment API
+ * Save filter rules over members or subscribers, preview how many records
+ * and confirmed subscribers they reach, and list the matching records
+ */
+export function createSegmentsRouter({ segments, campaigns }) {
+    const router = express.Router();
+
+    const notFound = (res) => res.status(404).json({ success: false, message: 'Segment not found.' });
+
+    const invalid = (res, errors) => res.status(400).json({
+        success: false,
+        message: 'Please correct the highlighted fields.',
+        errors
+    });
+
+    const withCounts = (segment) => ({ ...segment, counts: segments.counts(segment) });
+
+    router.get('/segments', (req, res) => {
+        try {
+            const result = segments.list(req.query);
+            res.json({ success: true, ...result, items: result.items.map(withCounts) });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+    });
+
+    router.post('/segments', async (req, res) => {
+        const errors = validateSegment(req.body);
+        if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+        const segment = await segments.create(req.body);
+        res.status(201).json({ success: true, segment: withCounts(segment) });
+    });
+
+    // Counts and a sample for unsaved rules, while a segment is being built
+    router.post('/segments/preview', (req, res) => {
+        const definition = { match: 'all', ...req.body, name: 'Preview' };
+        const errors = validateSegment(definition);
+        if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+        res.json({
+            success: true,
+            counts: segments.counts(definition),
+            sample: segments.matches(definition).slice(0, 10)
+        });
+    });
+
+    router.get('/segments/:id', (req, res) => {
+        const segment = segments.get(req.params.id);
+        if (!segment) return notFound(res);
+        res.json({ success: true, segment: withCounts(segment) });
+    });
+
+    router.patch('/segments/:id', async (req, res) => {
+        const segment = segments.get(req.params.id);
+        if (!segment) return notFound(res);
+
+        const errors = validateSegment({ ...segment, ...req.body });
+        if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+        const updated = await segments.update(req.params.id, req.body);
+        res.json({ success: true, segment: withCounts(updated) });
+    });
+
+    router.delete('/segments/:id', async (req, res) => {
+        if (!segments.get(req.params.id)) return notFound(res);
+
+        const inUse = campaigns.campaigns.find(campaign =>
+            campaign.segmentId === req.params.id && campaign.status !== 'sent'
+        );
+        if (inUse.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `This segment is the audience of ${inUse.length} unsent campaign(s).`
+            });
+        }
+
+        await segments.remove(req.params.id);
+        res.json({ success: true });
+    });
+
+    router.get('/segments/:id/records', (req, res) => {
+        const segment = segments.get(req.params.id);
+        if (!segment) return notFound(res);
+
+        try {
+            res.json({ success: true, ...segments.listMatches(segment, req.query) });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,70 @@
+import express from 'express';
+
+/**
+ * Dashboard statistics
+ * Per-day signup counts and mail queue health for the admin dashboard
+ */
+
+const MAX_DAYS = 365;
+
+const dayOf = (timestamp) => timestamp.slice(0, 10);
+
+const countBy = (records, key) => records.reduce((counts, record) => {
+    counts[record[key]] = (counts[record[key]] || 0) + 1;
+    return counts;
+}, {});
+
+export function createStatsRouter({ leads, mailQueue }) {
+    const router = express.Router();
+
+    router.get('/stats', (req, res) => {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), MAX_DAYS);
+
+        // One bucket per UTC day, oldest first, ending today
+        const buckets = new Map();
+        const today = new Date();
+        for (let offset = days - 1; offset >= 0; offset -= 1) {
+            const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - offset));
+            buckets.set(dayOf(date.toISOString()), { members: 0, subscribers: 0, consultations: 0 });
+        }
+
+        const tally = (records, field) => {
+            for (const record of records) {
+                const bucket = buckets.get(dayOf(record.createdAt));
+                if (bucket) bucket[field] += 1;
+            }
+        };
+
+        const members = leads.members.all();
+        const subscribers = leads.subscribers.all();
+        const consultations = leads.consultations.all();
+
+        tally(members, 'members');
+        tally(subscribers, 'subscribers');
+        tally(consultations, 'consultations');
+
+        const queued = mailQueue.queue.all();
+        const oldest = queued.reduce((earliest, message) =>
+            !earliest || message.createdAt < earliest ? message.createdAt : earliest, null);
+
+        res.json({
+            success: true,
+            days: Array.from(buckets, ([date, counts]) => ({ date, ...counts })),
+            totals: {
+                members: members.length,
+                subscribers: subscribers.length,
+                subscribersByStatus: countBy(subscribers, 'status'),
+                consultations: consultations.length,
+                consultationsByStatus: countBy(consultations, 'status')
+            },
+            mailQueue: {
+                queued: queued.length,
+                retrying: queued.filter(message => message.attempts > 0).length,
+                oldestQueuedAt: oldest,
+                deadLetters: mailQueue.deadLetters.all().length
+            }
+        });
+    });
+
+    return router;
+}
@@ -0,0 +1,44 @@
+import express from 'express';
+
+/**
+ * Suppression list API
+ * Inspect, add and lift suppressed addresses
+ */
+export function createSuppressionsRouter({ suppression }) {
+    const router = express.Router();
+
+    router.get('/suppressions', (req, res) => {
+        try {
+            res.json({ success: true, ...suppression.list(req.query) });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+    });
+
+    router.post('/suppressions', async (req, res) => {
+        const { email, reason = 'manual' } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email address is required.'
+            });
+        }
+
+        const entry = await suppression.add(email, { reason, source: 'admin' });
+        res.status(201).json({ success: true, suppression: entry });
+    });
+
+    router.delete('/suppressions/:email', async (req, res) => {
+        const removed = await suppression.remove(req.params.email);
+        if (!removed) {
+            return res.status(404).json({ success: false, message: 'Suppression not found.' });
+        }
+        res.json({ success: true });
+    });
+
+    return router;
+}
@@ -0,0 +1,99 @@
+import express from 'express';
+import { validateWebhook } from '../webhooks.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'webhooks' });
+
+/**
+ * Webhook API (admin role)
+ * Register endpoints, send test pings and inspect or retry each endpoint's
+ * deliveries. The signing secret is returned when an endpoint is created and
+ * when it is rotated.
+ */
+export function createWebhooksRouter({ webhooks }) {
+    const router = express.Router();
+
+    const notFound = (res) => res.status(404).json({ success: false, message: 'Webhook not found.' });
+
+    const invalid = (res, errors) => res.status(400).json({
+        success: false,
+        message: 'Please correct the highlighted fields.',
+        errors
+    });
+
+    const withRangeErrors = (handler) => (req, res) => {
+        try {
+            handler(req, res);
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+    };
+
+    router.get('/webhooks', withRangeErrors((req, res) => {
+        res.json({ success: true, ...webhooks.list(req.query) });
+    }));
+
+    router.post('/webhooks', async (req, res) => {
+        const errors = validateWebhook(req.body);
+        if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+        const webhook = await webhooks.create(req.body);
+        log.info('Webhook added', { webhookId: webhook.id, events: webhook.events });
+        res.status(201).json({ success: true, webhook: webhooks.publicWebhook(webhook), secret: webhook.secret });
+    });
+
+    router.get('/webhooks/:id', (req, res) => {
+        const webhook = webhooks.get(req.params.id);
+        if (!webhook) return notFound(res);
+        res.json({ success: true, webhook: webhooks.publicWebhook(webhook) });
+    });
+
+    router.patch('/webhooks/:id', async (req, res) => {
+        const webhook = webhooks.get(req.params.id);
+        if (!webhook) return notFound(res);
+
+        const errors = validateWebhook({ ...webhook, ...req.body });
+        if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+        const updated = await webhooks.update(req.params.id, req.body);
+        res.json({ success: true, webhook: webhooks.publicWebhook(updated) });
+    });
+
+    router.delete('/webhooks/:id', async (req, res) => {
+        if (!webhooks.get(req.params.id)) return notFound(res);
+        await webhooks.remove(req.params.id);
+        res.json({ success: true });
+    });
+
+    router.post('/webhooks/:id/rotate-secret', async (req, res) => {
+        if (!webhooks.get(req.params.id)) return notFound(res);
+        const webhook = await webhooks.rotateSecret(req.params.id);
+        res.json({ success: true, webhook: webhooks.publicWebhook(webhook), secret: webhook.secret });
+    });
+
+    router.post('/webhooks/:id/test', async (req, res) => {
+        if (!webhooks.get(req.params.id)) return notFound(res);
+        const delivery = await webhooks.sendTest(req.params.id);
+        res.status(202).json({ success: true, delivery });
+    });
+
+    router.get('/webhooks/:id/deliveries', withRangeErrors((req, res) => {
+        if (!webhooks.get(req.params.id)) return notFound(res);
+        res.json({ success: true, ...webhooks.listDeliveries(req.params.id, req.query) });
+    }));
+
+    router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+        const delivery = webhooks.getDelivery(req.params.deliveryId);
+        if (!delivery || delivery.webhookId !== req.params.id) {
+            return res.status(404).json({ success: false, message: 'Delivery not found.' });
+        }
+
+        const updated = await webhooks.redeliver(delivery.id);
+        res.status(202).json({ success: true, delivery: updated });
+    });
+
+    return router;
+}
@@ -0,0 +1,161 @@
+import { normalizeEmail, queryRecords } from './leads.js';
+
+/**
+ * Audience segments
+ * A segment is a saved set of filter rules over members or subscribers, e.g.
+ * "beginners at 1-10 person companies":
+ *
+ *   { "source": "members", "match": "all", "rules": [
+ *       { "field": "aiExperience", "op": "is", "value": "beginner" },
+ *       { "field": "businessSize", "op": "in", "value": ["solo", "small"] }
+ *   ] }
+ *
+ * Segments are evaluated on demand against the stored records, so they always
+ * reflect the current data.
+ */
+
+// Fields each source can be filtered on
+export const SEGMENT_FIELDS = {
+    members: ['name', 'email', 'company', 'businessSize', 'aiExperience', 'newsletterOptIn', 'source', 'createdAt'],
+    subscribers: ['name', 'email', 'company', 'status', 'source', 'createdAt']
+};
+
+const comparable = (value) => value === undefined || value === null ? '' : String(value).toLowerCase();
+const asList = (value) => [].concat(value).map(comparable);
+
+const OPERATORS = {
+    is: (actual, expected) => comparable(actual) === comparable(expected),
+    isNot: (actual, expected) => comparable(actual) !== comparable(expected),
+    in: (actual, expected) => asList(expected).includes(comparable(actual)),
+    notIn: (actual, expected) => !asList(expected).includes(comparable(actual)),
+    contains: (actual, expected) => comparable(actual).includes(comparable(expected)),
+    exists: (actual, expected) => (actual !== undefined && actual !== null && actual !== '') === (expected !== false && expected !== 'false'),
+    before: (actual, expected) => !!actual && new Date(actual) < new Date(expected),
+    after: (actual, expected) => !!actual && new Date(actual) > new Date(expected)
+};
+
+/**
+ * Check a segment definition. Returns field -> message, empty when valid.
+ */
+export function validateSegment({ name, source, match = 'all', rules } = {}) {
+    const errors = {};
+
+    if (!name || !String(name).trim()) {
+        errors.name = 'This field is required';
+    }
+
+    if (!SEGMENT_FIELDS[source]) {
+        errors.source = `Must be one of: ${Object.keys(SEGMENT_FIELDS).join(', ')}`;
+    }
+
+    if (match !== 'all' && match !== 'any') {
+        errors.match = 'Must be "all" or "any"';
+    }
+
+    if (!Array.isArray(rules) || rules.length === 0) {
+        errors.rules = 'At least one rule is required';
+        return errors;
+    }
+
+    rules.forEach((rule, index) => {
+        const key = `rules[${index}]`;
+        if (!rule || typeof rule !== 'object') {
+            errors[key] = 'Each rule needs a field, op and value';
+        } else if (SEGMENT_FIELDS[source] && !SEGMENT_FIELDS[source].includes(rule.field)) {
+            errors[key] = `Unknown field "${rule.field}" for ${source}`;
+        } else if (!OPERATORS[rule.op]) {
+            errors[key] = `Unknown op "${rule.op}"; use one of: ${Object.keys(OPERATORS).join(', ')}`;
+        } else if ((rule.op === 'before' || rule.op === 'after') && isNaN(new Date(rule.value).getTime())) {
+            errors[key] = `"${rule.op}" needs a date value`;
+        } else if (rule.value === undefined && rule.op !== 'exists') {
+            errors[key] = 'A value is required';
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Records from the definition's source that match its rules
+ */
+export function evaluateSegment(leads, { source, match = 'all', rules }) {
+    const records = source === 'members' ? leads.members.all() : leads.subscribers.all();
+    const test = (record) => rules[match === 'any' ? 'some' : 'every'](rule =>
+        OPERATORS[rule.op](record[rule.field], rule.value)
+    );
+
+    return records.filter(test);
+}
+
+const cleanRules = (rules) => rules.map(({ field, op, value }) => ({ field, op, value }));
+
+export function createSegmentService({ store, leads }) {
+    const segments = store.collection('segments');
+
+    const matches = (definition) => evaluateSegment(leads, definition);
+
+    /**
+     * Confirmed subscribers a segment reaches: subscriber segments directly,
+     * member segments through the member's email address
+     */
+    const audience = (definition) => {
+        const emails = new Set(matches(definition).map(record => normalizeEmail(record.email)));
+        return leads.subscribers.find(subscriber =>
+            subscriber.status === 'confirmed' && emails.has(subscriber.email)
+        );
+    };
+
+    const counts = (definition) => ({
+        matched: matches(definition).length,
+        audience: audience(definition).length
+    });
+
+    return {
+        segments,
+        matches,
+        audience,
+        counts,
+
+        /**
+         * Matching records, filtered and paginated like the lead API
+         */
+        listMatches(definition, query) {
+            return queryRecords(matches(definition), query, {
+                searchFields: ['name', 'email', 'company']
+            });
+        },
+
+        list(query) {
+            return queryRecords(segments.all(), query, {
+                exactFields: ['source'],
+                searchFields: ['name', 'description']
+            });
+        },
+
+        get(id) {
+            return segments.get(id);
+        },
+
+        async create({ name, description, source, match = 'all', rules }) {
+            return segments.insert({
+                name: String(name).trim(),
+                description: description ? String(description).trim() : null,
+                source,
+                match,
+                rules: cleanRules(rules)
+            });
+        },
+
+        async update(id, changes) {
+            const segment = segments.get(id);
+            if (!segment) return null;
+
+            const { name, description, source, match, rules } = { ...segment, ...changes };
+            return segments.update(id, { name, description, source, match, rules: cleanRules(rules) });
+        },
+
+        async remove(id) {
+            return segments.remove(id);
+        }
+    };
+}
@@ -0,0 +1,154 @@
+import { normalizeEmail } from './leads.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'spam-guard' });
+
+/**
+ * Spam protection for public form routes
+ * - Per-IP and per-email rate limits (fixed windows, kept in memory); a
+ *   submission the route turns away as invalid (400) is not charged to the
+ *   email, so mistyped fields don't lock an address out
+ * - Honeypot: a hidden `website` field people never fill in
+ * - Time trap: `formFillMs`, how long the form was open before submitting;
+ *   required unless a route is marked as one for API clients
+ * Every rejection is logged with a running count per route and reason.
+ */
+
+export const HONEYPOT_FIELD = 'website';
+export const FILL_TIME_FIELD = 'formFillMs';
+
+/**
+ * Fixed-window counter keyed by arbitrary strings
+ */
+export class RateLimiter {
+    constructor({ windowMs, max }) {
+        this.windowMs = windowMs;
+        this.max = max;
+        this.hits = new Map();
+
+        // Drop expired windows so the map doesn't grow without bound
+        this.sweeper = setInterval(() => this.sweep(), windowMs);
+        this.sweeper.unref();
+    }
+
+    /**
+     * Count a hit; returns { allowed, retryAfterSeconds }
+     */
+    hit(key) {
+        const now = Date.now();
+        let entry = this.hits.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + this.windowMs };
+            this.hits.set(key, entry);
+        }
+
+        entry.count += 1;
+
+        return {
+            allowed: entry.count <= this.max,
+            retryAfterSeconds: Math.ceil((entry.resetAt - now) / 1000)
+        };
+    }
+
+    /**
+     * Take back a hit counted in the current window
+     */
+    refund(key) {
+        const entry = this.hits.get(key);
+        if (entry && entry.count > 0 && entry.resetAt > Date.now()) {
+            entry.count -= 1;
+        }
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.hits) {
+            if (entry.resetAt <= now) {
+                this.hits.delete(key);
+            }
+        }
+    }
+}
+
+export function createSpamGuard({
+    ipLimit = { windowMs: 15 * 60 * 1000, max: 10 },
+    emailLimit = { windowMs: 60 * 60 * 1000, max: 3 },
+    minFillMs = 3000
+} = {}) {
+    const ipLimiter = new RateLimiter(ipLimit);
+    const emailLimiter = new RateLimiter(emailLimit);
+    const rejections = new Map();
+
+    const reject = (res, route, reason, status, message) => {
+        const key = `${route}:${reason}`;
+        const count = (rejections.get(key) || 0) + 1;
+        rejections.set(key, count);
+        res.locals.spamRejection = reason;
+
+        log.warn(`Rejected ${route} submission`, { route, reason, count });
+
+        return res.status(status).json({ success: false, message });
+    };
+
+    return {
+        /**
+         * Rejection counts keyed by `route:reason`
+         */
+        stats() {
+            return Object.fromEntries(rejections);
+        },
+
+        /**
+         * Middleware for one form route. Routes the site's forms post to
+         * require `formFillMs`; pass `requireFillTime: false` only for routes
+         * meant for API clients, which then just check it when it is sent.
+         */
+        protect(route, { requireFillTime = true } = {}) {
+            return (req, res, next) => {
+                const body = req.body || {};
+
+                const ipCheck = ipLimiter.hit(`${route}:${req.ip}`);
+                if (!ipCheck.allowed) {
+                    res.set('Retry-After', String(ipCheck.retryAfterSeconds));
+                    return reject(res, route, 'rate-limit-ip', 429,
+                        'Too many submissions from your network. Please try again later.');
+                }
+
+                if (body[HONEYPOT_FIELD]) {
+                    return reject(res, route, 'honeypot', 400,
+                        'Your submission could not be accepted.');
+                }
+
+                const reported = body[FILL_TIME_FIELD] !== undefined && body[FILL_TIME_FIELD] !== '';
+                if (!reported && requireFillTime) {
+                    return reject(res, route, 'no-fill-time', 400,
+                        'Your submission could not be accepted. Please reload the page and try again.');
+                }
+                if (reported && !(Number(body[FILL_TIME_FIELD]) >= minFillMs)) {
+                    return reject(res, route, 'too-fast', 400,
+                        'That was quicker than expected. Please take a moment and submit the form again.');
+                }
+
+                if (body.email) {
+                    const emailKey = `${route}:${normalizeEmail(body.email)}`;
+                    const emailCheck = emailLimiter.hit(emailKey);
+                    if (!emailCheck.allowed) {
+                        res.set('Retry-After', String(emailCheck.retryAfterSeconds));
+                        return reject(res, route, 'rate-limit-email', 429,
+                            'We\'ve already received several submissions for this email address. Please try again later.');
+                    }
+
+                    // Only valid submissions count against the address
+                    res.on('finish', () => {
+                        if (res.statusCode === 400) emailLimiter.refund(emailKey);
+                    });
+                }
+
+                delete body[HONEYPOT_FIELD];
+                delete body[FILL_TIME_FIELD];
+                next();
+            };
+        }
+    };
+}
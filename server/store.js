@@ -0,0 +1,179 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Embedded data store for Retrospxt Holdings
+ * Each collection is an append-only JSON Lines file. Every write appends an
+ * operation, and the file is replayed on startup to rebuild the records.
+ */
+export class Collection {
+    constructor(name, dir) {
+        this.name = name;
+        this.file = path.join(dir, `${name}.jsonl`);
+        this.records = new Map();
+        this.writeChain = Promise.resolve();
+
+        this.load();
+    }
+
+    /**
+     * Replay the operation log into memory
+     */
+    load() {
+        if (!fs.existsSync(this.file)) return;
+
+        this.loadedStat = fs.statSync(this.file);
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                // A torn final line from a crash mid-write; skip it
+                continue;
+            }
+
+            if (entry.op === 'put') {
+                this.records.set(entry.record.id, entry.record);
+            } else if (entry.op === 'delete') {
+                this.records.delete(entry.id);
+            }
+        }
+    }
+
+    /**
+     * Replay the file again if another process has written to it since it
+     * was loaded (e.g. API keys created through server.js, checked by
+     * vapi-server.js)
+     */
+    refresh() {
+        let stat;
+        try {
+            stat = fs.statSync(this.file);
+        } catch {
+            return;
+        }
+
+        const loaded = this.loadedStat;
+        if (loaded && loaded.size === stat.size && loaded.mtimeMs === stat.mtimeMs) return;
+
+        this.records = new Map();
+        this.load();
+    }
+
+    /**
+     * Queue a write so operations hit the file in order
+     */
+    enqueueWrite(task) {
+        const write = this.writeChain.then(task);
+        this.writeChain = write.catch(() => {});
+        return write;
+    }
+
+    append(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        return this.enqueueWrite(() => fs.promises.appendFile(this.file, line));
+    }
+
+    all() {
+        return Array.from(this.records.values());
+    }
+
+    get(id) {
+        return this.records.get(id) || null;
+    }
+
+    find(predicate) {
+        return this.all().filter(predicate);
+    }
+
+    findOne(predicate) {
+        return this.all().find(predicate) || null;
+    }
+
+    async insert(data) {
+        const now = new Date().toISOString();
+        const record = {
+            id: crypto.randomUUID(),
+            ...data,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.append({ op: 'put', record });
+        this.records.set(record.id, record);
+        return record;
+    }
+
+    async update(id, changes) {
+        const existing = this.records.get(id);
+        if (!existing) return null;
+
+        const record = {
+            ...existing,
+            ...changes,
+            id,
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.append({ op: 'put', record });
+        this.records.set(id, record);
+        return record;
+    }
+
+    async remove(id) {
+        if (!this.records.has(id)) return false;
+
+        await this.append({ op: 'delete', id });
+        this.records.delete(id);
+        return true;
+    }
+
+    /**
+     * Rewrite the log with only the current records, dropping history
+     */
+    compact() {
+        return this.enqueueWrite(async () => {
+            const tmpFile = `${this.file}.tmp`;
+            const lines = this.all().map(record => JSON.stringify({ op: 'put', record }) + '\n');
+            await fs.promises.writeFile(tmpFile, lines.join(''));
+            await fs.promises.rename(tmpFile, this.file);
+        });
+    }
+}
+
+/**
+ * Open (or create) a store rooted at the given directory
+ */
+export function createStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const collections = new Map();
+
+    return {
+        dir,
+        collection(name) {
+            if (!collections.has(name)) {
+                collections.set(name, new Collection(name, dir));
+            }
+            return collections.get(name);
+        },
+
+        /**
+         * Write a probe file and read it back; throws when the directory
+         * can't be written (missing, read-only or full)
+         */
+        async check() {
+            const probe = path.join(dir, '.healthcheck');
+            const value = crypto.randomUUID();
+            await fs.promises.writeFile(probe, value);
+            if (await fs.promises.readFile(probe, 'utf8') !== value) {
+                throw new Error('Data store returned different data than was written');
+            }
+        }
+    };
+}
@@ -0,0 +1,60 @@
+import { normalizeEmail, queryRecords } from './leads.js';
+
+/**
+ * Suppression list
+ * Addresses on this list are never mailed. Entries with reason `unsubscribe`
+ * still receive transactional mail the recipient asked for themselves (such
+ * as a new confirmation link); bounces, complaints and manual entries block
+ * everything.
+ */
+export function createSuppressionList(store) {
+    const suppressions = store.collection('suppressions');
+
+    const findEntry = (email) => {
+        const normalized = normalizeEmail(email);
+        return suppressions.findOne(entry => entry.email === normalized);
+    };
+
+    return {
+        suppressions,
+
+        isSuppressed(email, { transactional = false } = {}) {
+            const entry = findEntry(email);
+            if (!entry) return false;
+            return !(transactional && entry.reason === 'unsubscribe');
+        },
+
+        get(email) {
+            return findEntry(email);
+        },
+
+        async add(email, { reason = 'manual', source = null } = {}) {
+            const existing = findEntry(email);
+            if (existing) {
+                // An unsubscribe never softens a bounce, complaint or manual entry
+                if (reason === 'unsubscribe' && existing.reason !== 'unsubscribe') {
+                    return existing;
+                }
+                return suppressions.update(existing.id, { reason, source });
+            }
+
+            return suppressions.insert({
+                email: normalizeEmail(email),
+                reason,
+                source
+            });
+        },
+
+        async remove(email) {
+            const existing = findEntry(email);
+            return existing ? suppressions.remove(existing.id) : false;
+        },
+
+        list(query) {
+            return queryRecords(suppressions.all(), query, {
+                exactFields: ['email', 'reason', 'source'],
+                searchFields: ['email']
+            });
+        }
+    };
+}
@@ -0,0 +1,221 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Email template engine
+ * Templates live in server/templates as HTML with a front matter header:
+ *
+ *   ---
+ *   subject: New Community Member - {{ name }}
+ *   ---
+ *   <h2>Welcome, {{ name }}</h2>
+ *
+ * Syntax: {{ value }} (HTML-escaped), {{{ value }}} (raw), {{#if value}} /
+ * {{else}} / {{/if}}, {{#unless value}} / {{/unless}}, {{#each list}} /
+ * {{/each}} (inside, {{ this }} is the current item). Every template is
+ * wrapped in layout.html, and the plain-text part is generated from the same
+ * render, so the two can't drift apart.
+ */
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+
+const TAG_PATTERN = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*(#if|#unless|#each|\/if|\/unless|\/each|else)?\s*([\w.@]*)\s*\}\}/g;
+
+export const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Parse template source into a tree of text, var, if and each nodes
+ */
+function parse(source, name) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+
+    const current = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.otherwise : node.children;
+    };
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        if (match.index > lastIndex) {
+            current().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        const [, rawPath, keyword, tagPath] = match;
+
+        if (rawPath) {
+            current().push({ type: 'var', path: rawPath, raw: true });
+        } else if (!keyword) {
+            current().push({ type: 'var', path: tagPath, raw: false });
+        } else if (keyword === '#if' || keyword === '#unless') {
+            const node = { type: 'if', path: tagPath, negate: keyword === '#unless', children: [], otherwise: [] };
+            current().push(node);
+            stack.push(node);
+        } else if (keyword === '#each') {
+            const node = { type: 'each', path: tagPath, children: [] };
+            current().push(node);
+            stack.push(node);
+        } else if (keyword === 'else') {
+            const node = stack[stack.length - 1];
+            if (node.type !== 'if') {
+                throw new Error(`Template "${name}": {{else}} outside of {{#if}}`);
+            }
+            node.inElse = true;
+        } else {
+            const node = stack.pop();
+            const expected = keyword === '/each' ? 'each' : 'if';
+            if (!node || node.type !== expected) {
+                throw new Error(`Template "${name}": unexpected {{${keyword}}}`);
+            }
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Template "${name}": unclosed {{#${stack[stack.length - 1].type}}}`);
+    }
+
+    if (lastIndex < source.length) {
+        root.children.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return root.children;
+}
+
+function lookup(scopes, keyPath) {
+    if (keyPath === 'this') return scopes[0];
+
+    const [head, ...rest] = keyPath.split('.');
+    const scope = scopes.find(candidate =>
+        candidate !== null && typeof candidate === 'object' && head in candidate
+    );
+    if (!scope) return undefined;
+
+    return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+}
+
+const isTruthy = (value) => Array.isArray(value) ? value.length > 0 : !!value;
+
+/**
+ * Render a node tree. `emit` decides how a variable's value is written.
+ */
+function renderNodes(nodes, scopes, emit) {
+    let output = '';
+
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'var') {
+            const value = lookup(scopes, node.path);
+            output += value === undefined || value === null ? '' : emit(value, node.raw);
+        } else if (node.type === 'if') {
+            const pass = isTruthy(lookup(scopes, node.path)) !== node.negate;
+            output += renderNodes(pass ? node.children : node.otherwise, scopes, emit);
+        } else if (node.type === 'each') {
+            const items = lookup(scopes, node.path) || [];
+            for (const item of items) {
+                output += renderNodes(node.children, [item, ...scopes], emit);
+            }
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Convert rendered HTML markup to readable plain text
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/\s+/g, ' ')
+        .replace(/<a\b[^>]*\bhref="([^"]*)"[^>]*>(.*?)<\/a>/gi, (match, href, label) => {
+            const text = label.replace(/<[^>]+>/g, '').trim();
+            return text && text !== href ? `${text}: ${href}` : href;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<hr[^>]*>/gi, '\n---\n')
+        .replace(/<\/(p|div|h[1-6]|ul|ol|table|tr)>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function parseFrontMatter(source) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return { meta: {}, body: source };
+
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+    }
+
+    return { meta, body: source.slice(match[0].length) };
+}
+
+export function createTemplateEngine({ dir = DEFAULT_DIR, layout = 'layout', cache = process.env.NODE_ENV === 'production' } = {}) {
+    const compiled = new Map();
+
+    const load = (name) => {
+        if (cache && compiled.has(name)) return compiled.get(name);
+
+        const file = path.join(dir, `${name}.html`);
+        const { meta, body } = parseFrontMatter(fs.readFileSync(file, 'utf8'));
+        const template = {
+            body: parse(body, name),
+            subject: meta.subject ? parse(meta.subject, `${name} subject`) : []
+        };
+
+        compiled.set(name, template);
+        return template;
+    };
+
+    return {
+        /**
+         * Render a template to { subject, html, text }
+         */
+        render(name, data = {}) {
+            const template = load(name);
+            const frame = load(layout);
+            const scopes = [{ timestamp: new Date().toLocaleString(), ...data }];
+
+            // HTML part: escape values unless they are triple-stashed
+            const escape = (value, raw) => raw ? String(value) : escapeHtml(value);
+            const html = renderNodes(frame.body, [{ body: renderNodes(template.body, scopes, escape) }, ...scopes], escape);
+
+            // Text part: values go in as placeholders so the markup conversion
+            // never alters what the user typed, then get swapped back
+            const values = [];
+            const placeholder = (value, raw) => {
+                if (raw) return String(value);
+                values.push(String(value));
+                return `\u0000${values.length - 1}\u0000`;
+            };
+            const markup = renderNodes(frame.body, [{ body: renderNodes(template.body, scopes, placeholder) }, ...scopes], placeholder);
+            const text = htmlToText(markup).replace(/\u0000(\d+)\u0000/g, (match, index) => values[index]);
+
+            const subject = renderNodes(template.subject, scopes, value => String(value)).replace(/[\r\n]+/g, ' ');
+
+            return { subject, html, text };
+        }
+    };
+}
@@ -0,0 +1,72 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Signed, expiring tokens for links sent by email
+ * Format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature).
+ * Every token is bound to a purpose so a link for one flow can't be replayed
+ * against another.
+ */
+export function createTokenSigner(secret) {
+    const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+    return {
+        sign(purpose, subject, ttlSeconds) {
+            const payload = {
+                purpose,
+                sub: subject,
+                exp: Math.floor(Date.now() / 1000) + ttlSeconds
+            };
+            const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+            return `${data}.${sign(data)}`;
+        },
+
+        /**
+         * Returns the subject when the token is valid for this purpose, otherwise null
+         */
+        verify(purpose, token) {
+            const [data, signature] = String(token || '').split('.');
+            if (!data || !signature) return null;
+
+            const expected = Buffer.from(sign(data));
+            const provided = Buffer.from(signature);
+            if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+                return null;
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+            } catch {
+                return null;
+            }
+
+            if (payload.purpose !== purpose) return null;
+            if (payload.exp < Math.floor(Date.now() / 1000)) return null;
+
+            return payload.sub;
+        }
+    };
+}
+
+/**
+ * Use TOKEN_SECRET when set; otherwise keep a generated secret in the data
+ * directory so links stay valid across restarts.
+ */
+export function resolveTokenSecret(dataDir, configured = process.env.TOKEN_SECRET) {
+    if (configured) {
+        return configured;
+    }
+
+    const secretFile = path.join(dataDir, '.token-secret');
+    if (fs.existsSync(secretFile)) {
+        return fs.readFileSync(secretFile, 'utf8').trim();
+    }
+
+    logger.warn('TOKEN_SECRET is not set; generated one', { file: secretFile });
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+    return secret;
+}
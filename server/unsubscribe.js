@@ -0,0 +1,70 @@
+import { normalizeEmail } from './leads.js';
+
+/**
+ * Unsubscribe links
+ * Tokens identify the recipient address and stay valid for years, since
+ * people unsubscribe from old issues too.
+ */
+
+const UNSUBSCRIBE_PURPOSE = 'unsubscribe';
+const UNSUBSCRIBE_TTL_SECONDS = 5 * 365 * 24 * 60 * 60;
+
+export function createUnsubscribeService({ leads, suppression, tokens, baseUrl, consentLog = null }) {
+    return {
+        urlFor(email) {
+            const token = tokens.sign(UNSUBSCRIBE_PURPOSE, normalizeEmail(email), UNSUBSCRIBE_TTL_SECONDS);
+            return `${baseUrl}/api/unsubscribe?token=${encodeURIComponent(token)}`;
+        },
+
+        /**
+         * Resolve a token to its address without changing anything
+         */
+        emailFor(token) {
+            return tokens.verify(UNSUBSCRIBE_PURPOSE, token);
+        },
+
+        /**
+         * Suppress the address and opt it out of the newsletter and community
+         * mailings. Returns the address, or null for an invalid token.
+         */
+        async unsubscribe(token, { source = 'link' } = {}) {
+            const email = this.emailFor(token);
+            if (!email) return null;
+
+            await this.unsubscribeAddress(email, { source });
+            return email;
+        },
+
+        /**
+         * Unsubscribe an address directly, e.g. for a withdrawal the team
+         * received by other means. Recorded as a consent withdrawal.
+         */
+        async unsubscribeAddress(email, { source, actor = null, note = null }) {
+            const normalized = normalizeEmail(email);
+            const now = new Date().toISOString();
+            await suppression.add(normalized, { reason: 'unsubscribe', source });
+
+            const subscriber = leads.findSubscriberByEmail(normalized);
+            if (subscriber && subscriber.status !== 'unsubscribed') {
+                await leads.subscribers.update(subscriber.id, {
+                    status: 'unsubscribed',
+                    unsubscribedAt: now
+                });
+            }
+
+            const member = leads.findMemberByEmail(normalized);
+            if (member && !member.unsubscribedAt) {
+                await leads.members.update(member.id, {
+                    newsletterOptIn: false,
+                    unsubscribedAt: now
+                });
+            }
+
+            if (consentLog) {
+                await consentLog.recordWithdrawal(normalized, { source, actor, note });
+            }
+
+            return normalized;
+        }
+    };
+}
@@ -0,0 +1,7 @@
+/**
+ * Server-side field validation
+ * The rules and form schemas live in js/shared/form-schemas.js, which the
+ * browser loads too, so the site's forms and the API always agree.
+ */
+
+export { FORM_SCHEMAS, validateFields, validateForm } from '../js/shared/form-schemas.js';
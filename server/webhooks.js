@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+import { queryRecords } from './leads.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'webhooks' });
+
+/**
+ * Outbound webhooks
+ * Admins register endpoints for the events below. Each event becomes one
+ * delivery per subscribed endpoint, stored before it is sent and retried with
+ * exponential backoff, so the log shows every attempt's outcome.
+ *
+ * Requests are JSON `{ id, event, createdAt, data }` with:
+ * - `X-Retrospxt-Event`: the event name
+ * - `X-Retrospxt-Delivery`: the delivery id (stable across retries)
+ * - `X-Retrospxt-Signature`: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`
+ */
+
+export const WEBHOOK_EVENTS = [
+    'member.joined',
+    'newsletter.subscribed',
+    'newsletter.confirmed',
+    'newsletter.unsubscribed',
+    'consultation.requested'
+];
+
+export const SIGNATURE_HEADER = 'X-Retrospxt-Signature';
+
+// Receivers should reject signatures older than this
+export const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const DELIVERY_QUERY_OPTIONS = {
+    exactFields: ['status', 'event'],
+    searchFields: ['event', 'lastError']
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const hmac = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+/**
+ * Check a signature header against the raw request body
+ */
+export function verifySignature(secret, body, header, { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(hmac(secret, timestamp, body));
+    const provided = Buffer.from(parts.v1);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Returns an object of field -> error message (empty when valid)
+ */
+export function validateWebhook({ name, url, events }) {
+    const errors = {};
+
+    if (!name || !String(name).trim()) {
+        errors.name = 'This field is required';
+    }
+
+    let parsed = null;
+    try {
+        parsed = new URL(url);
+    } catch {
+        // handled below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        errors.url = 'Please enter a valid http(s) URL';
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+        errors.events = 'Choose at least one event';
+    } else {
+        const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            errors.events = `Unknown event(s): ${unknown.join(', ')}. Use one of: ${WEBHOOK_EVENTS.join(', ')} or *`;
+        }
+    }
+
+    return errors;
+}
+
+export function createWebhookService({
+    store,
+    maxAttempts = 6,
+    baseDelayMs = 30 * 1000,
+    maxDelayMs = 60 * 60 * 1000,
+    pollIntervalMs = 5000,
+    timeoutMs = 10 * 1000
+}) {
+    const webhooks = store.collection('webhooks');
+    const deliveries = store.collection('webhook-deliveries');
+
+    let draining = null;
+    let timer = null;
+
+    const backoff = (attempts) => Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+
+    // The secret is only shown when an endpoint is created or its secret rotated
+    const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+    const subscribes = (webhook, event) =>
+        webhook.active && (webhook.events.includes('*') || webhook.events.includes(event));
+
+    const queueDelivery = (webhook, event, payload) => deliveries.insert({
+        webhookId: webhook.id,
+        event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        responseStatus: null,
+        lastError: null,
+        deliveredAt: null
+    });
+
+    const attempt = async (delivery) => {
+        const webhook = webhooks.get(delivery.webhookId);
+        if (!webhook) {
+            return deliveries.update(delivery.id, { status: 'failed', nextAttemptAt: null, lastError: 'Endpoint was deleted' });
+        }
+
+        const attempts = delivery.attempts + 1;
+        const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+
+        let responseStatus = null;
+        let error = null;
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Retrospxt-Webhooks/1.0',
+                    'X-Retrospxt-Event': delivery.event,
+                    'X-Retrospxt-Delivery': delivery.id,
+                    [SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            responseStatus = response.status;
+            if (!response.ok) error = `HTTP ${response.status}`;
+        } catch (fetchError) {
+            error = fetchError.cause ? fetchError.cause.message || fetchError.message : fetchError.message;
+        }
+
+        if (!error) {
+            await deliveries.update(delivery.id, {
+                status: 'delivered',
+                attempts,
+                nextAttemptAt: null,
+                responseStatus,
+                lastError: null,
+                deliveredAt: new Date().toISOString()
+            });
+            log.info(`${delivery.event} webhook delivered`, { deliveryId: delivery.id, webhookId: webhook.id, attempts });
+            return;
+        }
+
+        if (attempts >= maxAttempts) {
+            await deliveries.update(delivery.id, { status: 'failed', attempts, nextAttemptAt: null, responseStatus, lastError: error });
+            log.error(`${delivery.event} webhook failed`, { deliveryId: delivery.id, webhookId: webhook.id, attempts, error });
+            return;
+        }
+
+        const delay = backoff(attempts);
+        await deliveries.update(delivery.id, {
+            attempts,
+            nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+            responseStatus,
+            lastError: error
+        });
+        log.warn(`${delivery.event} webhook failed, will retry`, {
+            deliveryId: delivery.id,
+            webhookId: webhook.id,
+            attempts,
+            maxAttempts,
+            retryInSeconds: Math.round(delay / 1000),
+            error
+        });
+    };
+
+    /**
+     * Send every delivery that is due, one at a time
+     */
+    const drain = () => {
+        if (draining) return draining;
+
+        draining = (async () => {
+            const now = new Date().toISOString();
+            const due = deliveries.find(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= now)
+                .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+
+            for (const delivery of due) {
+                try {
+                    await attempt(delivery);
+                } catch (error) {
+                    // The store itself failed; leave the delivery for the next pass
+                    log.error('Webhook delivery error', { deliveryId: delivery.id, error });
+                }
+            }
+        })().finally(() => {
+            draining = null;
+        });
+
+        return draining;
+    };
+
+    return {
+        webhooks,
+        deliveries,
+        publicWebhook,
+        drain,
+
+        /**
+         * Start polling for due deliveries; call once at startup
+         */
+        start() {
+            if (timer) return;
+
+            timer = setInterval(drain, pollIntervalMs);
+            timer.unref();
+            setImmediate(drain);
+        },
+
+        /**
+         * Stop polling, then send whatever is already due. Resolves once
+         * that last pass is done; later retries wait for the next start.
+         */
+        stop() {
+            clearInterval(timer);
+            timer = null;
+            return drain();
+        },
+
+        /**
+         * Record a delivery for every endpoint subscribed to `event`.
+         * Never throws: a webhook problem must not fail the form submission.
+         */
+        async emit(event, data) {
+            try {
+                const payload = { event, createdAt: new Date().toISOString(), data };
+                const targets = webhooks.find(webhook => subscribes(webhook, event));
+                for (const webhook of targets) {
+                    await queueDelivery(webhook, event, payload);
+                }
+                if (targets.length > 0) setImmediate(drain);
+                return targets.length;
+            } catch (error) {
+                log.error(`Failed to queue ${event} webhooks`, { error });
+                return 0;
+            }
+        },
+
+        /**
+         * Endpoints
+         */
+        list(query) {
+            const result = queryRecords(webhooks.all(), query, {
+                exactFields: ['active'],
+                searchFields: ['name', 'url']
+            });
+            return { ...result, items: result.items.map(publicWebhook) };
+        },
+
+        get(id) {
+            return webhooks.get(id);
+        },
+
+        async create({ name, url, events, active = true }) {
+            return webhooks.insert({
+                name: String(name).trim(),
+                url,
+                events: [...new Set(events)],
+                active: active !== false && active !== 'false',
+                secret: generateSecret()
+            });
+        },
+
+        async update(id, { name, url, events, active }) {
+            const changes = {};
+            if (name !== undefined) changes.name = String(name).trim();
+            if (url !== undefined) changes.url = url;
+            if (events !== undefined) changes.events = [...new Set(events)];
+            if (active !== undefined) changes.active = active !== false && active !== 'false';
+            return webhooks.update(id, changes);
+        },
+
+        async rotateSecret(id) {
+            return webhooks.update(id, { secret: generateSecret() });
+        },
+
+        async remove(id) {
+            return webhooks.remove(id);
+        },
+
+        /**
+         * Queue a `ping` delivery to one endpoint, whatever its events
+         */
+        async sendTest(id) {
+            const webhook = webhooks.get(id);
+            const delivery = await queueDelivery(webhook, 'ping', {
+                event: 'ping',
+                createdAt: new Date().toISOString(),
+                data: { message: 'Test delivery from Retrospxt Holdings', webhookId: id }
+            });
+            setImmediate(drain);
+            return delivery;
+        },
+
+        /**
+         * Delivery log
+         */
+        listDeliveries(webhookId, query) {
+            return queryRecords(deliveries.find(delivery => delivery.webhookId === webhookId), query, DELIVERY_QUERY_OPTIONS);
+        },
+
+        getDelivery(id) {
+            return deliveries.get(id);
+        },
+
+        /**
+         * Send a delivery again with a fresh set of attempts
+         */
+        async redeliver(id) {
+            const delivery = deliveries.get(id);
+            if (!delivery) return null;
+
+            const updated = await deliveries.update(id, {
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: new Date().toISOString(),
+                lastError: null
+            });
+            setImmediate(drain);
+            return updated;
+        }
+    };
+}
@@ -0,0 +1,72 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Welcome autoresponders
+ * Emails new community members (tailored by AI experience and business size)
+ * and newly confirmed newsletter subscribers. Content lives in
+ * welcome-config.json, or the file named by WELCOME_CONFIG.
+ */
+
+const DEFAULT_CONFIG = path.join(path.dirname(fileURLToPath(import.meta.url)), 'welcome-config.json');
+
+export function loadWelcomeConfig(file = process.env.WELCOME_CONFIG || DEFAULT_CONFIG) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export function createWelcomeService({ leads, templates, sendMail, baseUrl, config = loadWelcomeConfig() }) {
+    const absoluteUrl = (url) => url.startsWith('/') ? `${baseUrl}${url}` : url;
+
+    const links = {
+        resourceLibraryUrl: absoluteUrl(config.resourceLibraryUrl),
+        upcomingSessionsUrl: absoluteUrl(config.upcomingSessionsUrl)
+    };
+
+    const firstName = (name) => name ? String(name).trim().split(/\s+/)[0] : '';
+
+    return {
+        /**
+         * Welcome a community member once; repeat joins don't resend
+         */
+        async sendMemberWelcome(member) {
+            if (member.welcomeSentAt) return false;
+
+            await sendMail({
+                to: member.email,
+                ...templates.render('welcome-member', {
+                    ...member,
+                    ...links,
+                    firstName: firstName(member.name),
+                    experience: config.aiExperience[member.aiExperience] || null,
+                    businessSizeNote: config.businessSize[member.businessSize] || null
+                }),
+                transactional: true,
+                listUnsubscribe: true
+            });
+
+            await leads.members.update(member.id, { welcomeSentAt: new Date().toISOString() });
+            return true;
+        },
+
+        /**
+         * Welcome a subscriber after they confirm their address
+         */
+        async sendSubscriberWelcome(subscriber) {
+            if (subscriber.welcomeSentAt) return false;
+
+            await sendMail({
+                to: subscriber.email,
+                ...templates.render('welcome-subscriber', {
+                    ...subscriber,
+                    ...links,
+                    firstName: firstName(subscriber.name)
+                }),
+                listUnsubscribe: true
+            });
+
+            await leads.subscribers.update(subscriber.id, { welcomeSentAt: new Date().toISOString() });
+            return true;
+        }
+    };
+}
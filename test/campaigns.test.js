@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStore } from '../server/store.js';
+import { createLeadRepository } from '../server/leads.js';
+import { createTemplateEngine } from '../server/template-engine.js';
+import { createCampaignService } from '../server/campaigns.js';
+
+test('overlapping sends of a draft mail each subscriber once', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-test-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    const store = createStore(dataDir);
+    const leads = createLeadRepository(store);
+    for (const email of ['one@example.com', 'two@example.com', 'three@example.com']) {
+        const subscriber = await leads.saveSubscriber({ email });
+        await leads.subscribers.update(subscriber.id, { status: 'confirmed' });
+    }
+
+    const sent = [];
+    const campaigns = createCampaignService({
+        store,
+        leads,
+        segments: null,
+        templates: createTemplateEngine(),
+        sendMail: async (mail) => sent.push(mail.to),
+        unsubscribeUrl: (email) => `http://localhost/unsubscribe?email=${encodeURIComponent(email)}`,
+        batchIntervalMs: 0
+    });
+
+    const campaign = await campaigns.create({ title: 'Issue 1', subject: 'Issue 1', markdown: 'Hello' });
+    await Promise.all([campaigns.send(campaign.id), campaigns.send(campaign.id)]);
+    await campaigns.stop();
+
+    assert.equal(campaigns.progress(campaign.id).total, 3);
+    assert.deepEqual(sent.sort(), ['one@example.com', 'three@example.com', 'two@example.com']);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig } from '../server/config.js';
+import { configureLogger } from '../server/logger.js';
+import { createHost } from '../server/host.js';
+
+const ROOT_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const ADMIN_TOKEN = 'test-admin-token-0123456789';
+
+// Every file under `dir`, with its contents
+const readTree = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? readTree(file) : [{ file, text: fs.readFileSync(file, 'utf8') }];
+});
+
+test('erasing a submitter leaves no copy of their data on disk', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'privacy-test-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    configureLogger({ service: 'test', level: 'error' });
+    const { config } = loadConfig({
+        DATA_DIR: dataDir,
+        MAIL_TRANSPORT: 'outbox',
+        ADMIN_API_TOKEN: ADMIN_TOKEN,
+        WELCOME_EMAILS_ENABLED: 'true'
+    });
+    const host = createHost({ config, apps: ['site'], rootDir: ROOT_DIR });
+    const [site] = host.apps;
+
+    const server = host.app.listen(0);
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const post = (route, body, headers = {}) => fetch(`${base}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+
+    const person = {
+        name: 'Alma Testperson',
+        email: 'alma.testperson@example.com',
+        phone: '555-123-4567',
+        company: 'Testperson Widgets'
+    };
+
+    const joined = await post('/api/community-join', {
+        name: person.name,
+        email: person.email,
+        company: person.company,
+        aiExperience: 'beginner',
+        newsletterOptIn: true,
+        formFillMs: 5000
+    });
+    assert.equal(joined.status, 200);
+
+    const consulted = await post('/api/consultation', {
+        name: person.name,
+        email: person.email,
+        company: person.company,
+        phone: person.phone,
+        service: 'voice-agents',
+        message: 'Please call Alma about appointment booking.',
+        formFillMs: 5000
+    });
+    assert.equal(consulted.status, 200);
+
+    // Send the queued mail (welcome, confirmation and team notifications) to the outbox
+    await site.stop();
+    const sent = readTree(dataDir).filter(({ file, text }) => file.startsWith(config.MAIL_OUTBOX_DIR) && text.includes(person.email));
+    assert.ok(sent.length > 0, 'expected mail about the person in the outbox');
+
+    const response = await post('/api/admin/privacy/erase', { email: person.email, phone: person.phone }, {
+        Authorization: `Bearer ${ADMIN_TOKEN}`
+    });
+    assert.equal(response.status, 200);
+
+    const leftovers = readTree(dataDir).filter(({ text }) =>
+        [person.name, person.email, person.phone, person.company, 'appointment booking'].some(value => text.includes(value)));
+    assert.deepEqual(leftovers.map(({ file }) => path.relative(dataDir, file)), []);
+});
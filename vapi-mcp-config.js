@@ -3,10 +3,17 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import { CallTool, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import Vapi from '@vapi-ai/server-sdk';
 import dotenv from 'dotenv';
+import { requireConfig } from './server/config.js';
+import { configureLogger, logger } from './server/logger.js';
 
 // Load environment variables
 dotenv.config();
 
+// stdout carries the MCP protocol, so every log entry goes to stderr
+configureLogger({ stream: process.stderr });
+
+const config = requireConfig({ service: 'vapi-mcp', required: ['VAPI_PRIVATE_KEY'] });
+
 /**
  * VAPI MCP Server Configuration
  * This server provides Model Context Protocol integration for VAPI voice AI
@@ -27,7 +34,7 @@ class VapiMcpServer {
 
         // Initialize VAPI client
         this.vapi = new Vapi({
-            token: process.env.VAPI_PRIVATE_KEY,
+            token: config.VAPI_PRIVATE_KEY,
         });
 
         this.setupToolHandlers();
@@ -270,10 +277,13 @@ class VapiMcpServer {
     async start() {
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
-        console.error('VAPI MCP Server running on stdio');
+        logger.info('VAPI MCP Server running on stdio');
     }
 }
 
 // Start the server
 const server = new VapiMcpServer();
-server.start().catch(console.error);
\ No newline at end of file
+server.start().catch(error => {
+    logger.error('VAPI MCP Server failed to start', { error });
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+import http from 'http';
+import { SIGNATURE_HEADER, verifySignature } from './server/webhooks.js';
+
+/**
+ * Local webhook receiver for testing outbound webhooks offline
+ *
+ *   npm run webhook-receiver -- --secret whsec_... [--port 4000] [--fail 2]
+ *
+ * Register http://localhost:4000/ as a webhook endpoint, then submit a form
+ * (or POST /api/admin/webhooks/:id/test). Every delivery is printed with
+ * whether its signature checks out. `--fail N` answers the first N requests
+ * with a 500 so you can watch the retries.
+ */
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+};
+
+const port = Number(option('port', process.env.WEBHOOK_RECEIVER_PORT || 4000));
+const secret = option('secret', process.env.WEBHOOK_RECEIVER_SECRET);
+let failuresLeft = Number(option('fail', 0));
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+        const verified = secret ? verifySignature(secret, body, signature) : null;
+
+        let payload = body;
+        try {
+            payload = JSON.parse(body);
+        } catch {
+            // print the raw body
+        }
+
+        console.log(`\n📨 ${req.method} ${req.url} — ${req.headers['x-retrospxt-event'] || 'no event header'}`);
+        console.log(`   Delivery:  ${req.headers['x-retrospxt-delivery'] || '-'}`);
+        console.log(`   Signature: ${verified === null ? 'not checked (no --secret)' : verified ? '✅ valid' : '❌ INVALID'}`);
+        console.log(JSON.stringify(payload, null, 2));
+
+        if (failuresLeft > 0) {
+            failuresLeft -= 1;
+            console.log(`   ↩️  Answering 500 (${failuresLeft} more failure(s) to go)`);
+            res.writeHead(500).end('Simulated failure');
+            return;
+        }
+
+        if (verified === false) {
+            res.writeHead(401).end('Invalid signature');
+            return;
+        }
+
+        res.writeHead(204).end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🪝 Webhook receiver listening on http://localhost:${port}/`);
+    if (!secret) {
+        console.log('⚠️  No --secret given; signatures will not be checked');
+    }
+});